@@ -0,0 +1,479 @@
+/*
+ * Runs Pyodide and manimlib off the main thread so that rendering a Scene
+ * doesn't freeze the editor or the player. The page talks to this worker
+ * through src/python.js. Every request carries an id which is repeated in the
+ * messages sent in response to it.
+ *
+ * Requests:
+ *   { id, type: "getScene", code, sceneName }
+ *   { id, type: "getSceneChoices", code }
+ *   { id, type: "describeManimlib" }
+ *   { id, type: "texPoints", points }  (the answer to a "tex" message)
+ * Responses:
+ *   { type: "ready" }                   (sent once manimlib has loaded)
+ *   { type: "failed", message }         (sent if Pyodide or manimlib can't be
+ *                                        loaded; every request then fails)
+ *   { id, type: "result", result }
+ *   { id, type: "error", message, python }
+ *     (python describes exceptions raised by the user's code as
+ *     { type, message, traceback, lines }, where lines lists the
+ *     { line, column } of each frame in the code, innermost last)
+ *   { id, type: "progress", stage, animations }
+ *   { id, type: "tex", texStrings }     (TeX which only the page can render)
+ */
+self.languagePluginUrl = new URL("pyodide/", self.location.href).href;
+importScripts(self.languagePluginUrl + "pyodide.js");
+
+const SETUP_CODE = `
+import inspect
+import json
+import traceback
+import types
+import numpy
+import manimlib
+import manimlib.config
+from manimlib.web.web_scene import WebScene
+import manimlib.web.web_scene
+from manimlib.animation.animation import Animation
+from manimlib.animation.composition import AnimationGroup
+from manimlib.animation.transform import Transform
+from manimlib.mobject.mobject import Mobject
+from manimlib.constants import ORIGIN
+from manimlib.mobject.types.vectorized_mobject import VMobject
+from manimlib.web.utils import get_mobject_style
+import js
+
+# The name of the user's code in tracebacks, matching the name shown in the
+# editor.
+CODE_FILENAME = "example_scenes.py"
+
+def get_module(code):
+    # Unlike manimlib.config.get_module, let exceptions (and their tracebacks)
+    # through.
+    module = types.ModuleType("input_scenes")
+    exec(compile(code, CODE_FILENAME, "exec"), module.__dict__)
+    return module
+
+manimlib.config.get_module = get_module
+
+def describe_exception(e):
+    lines = [
+        {"line": frame.lineno, "column": None}
+        for frame in traceback.extract_tb(e.__traceback__)
+        if frame.filename == CODE_FILENAME
+    ]
+    if isinstance(e, SyntaxError) and e.filename == CODE_FILENAME:
+        lines.append({"line": e.lineno, "column": e.offset})
+    return {
+        "type": type(e).__name__,
+        "message": str(e),
+        "traceback": "".join(traceback.format_exception(type(e), e, e.__traceback__)),
+        "lines": lines,
+    }
+
+def run_scene(code, scene_name):
+    try:
+        scene = manimlib.get_scene(code, [scene_name])
+        if scene is None:
+            raise NameError(f"There is no scene named {scene_name}")
+        scene.render()
+    except Exception as e:
+        return json.dumps({"error": describe_exception(e)})
+    return serialize_scene(scene)
+
+def get_scene_choices(code):
+    try:
+        return json.dumps({"choices": manimlib.get_scene_choices(code)})
+    except Exception as e:
+        return json.dumps({"error": describe_exception(e)})
+
+def describe_value(value):
+    if isinstance(value, numpy.ndarray):
+        value = value.tolist()
+    text = repr(value)
+    return text if len(text) <= 40 else text[:37] + "..."
+
+def describe_parameter(parameter):
+    if parameter.kind == inspect.Parameter.VAR_POSITIONAL:
+        return {"name": parameter.name, "text": "*" + parameter.name, "kind": "var_positional"}
+    if parameter.kind == inspect.Parameter.VAR_KEYWORD:
+        return {"name": parameter.name, "text": "**" + parameter.name, "kind": "var_keyword"}
+    text = parameter.name
+    if parameter.default is not inspect.Parameter.empty:
+        text += "=" + describe_value(parameter.default)
+    kind = "keyword" if parameter.kind == inspect.Parameter.KEYWORD_ONLY else "positional"
+    return {"name": parameter.name, "text": text, "kind": kind}
+
+def get_config(cls):
+    # digest_config merges the CONFIGs of a class and its bases, with
+    # subclasses taking precedence. List the class's own entries first.
+    config = {}
+    for base in cls.__mro__:
+        for key, value in vars(base).get("CONFIG", {}).items():
+            config.setdefault(key, value)
+    return config
+
+def describe_parameters(obj, config={}):
+    try:
+        parameters = list(inspect.signature(obj).parameters.values())
+    except (TypeError, ValueError):
+        return [{"name": "", "text": "...", "kind": "var_positional"}]
+    described = [
+        describe_parameter(p) for p in parameters
+        if p.kind != inspect.Parameter.VAR_KEYWORD
+    ]
+    # CONFIG entries can be passed as keyword arguments.
+    names = set(p.name for p in parameters)
+    described += [
+        {"name": key, "text": key + "=" + describe_value(value), "kind": "keyword"}
+        for key, value in config.items() if key not in names
+    ]
+    described += [
+        describe_parameter(p) for p in parameters
+        if p.kind == inspect.Parameter.VAR_KEYWORD
+    ]
+    return described
+
+def get_doc(obj):
+    # Classes would otherwise inherit the docstrings of their bases.
+    doc = obj.__doc__ if inspect.isclass(obj) else inspect.getdoc(obj)
+    return inspect.cleandoc(doc) if doc else ""
+
+def get_class_category(cls):
+    from manimlib.imports import Animation, Mobject, Scene
+    for category, base in [("mobject", Mobject), ("animation", Animation), ("scene", Scene)]:
+        if issubclass(cls, base):
+            return category
+    return "class"
+
+def describe_constant(name, value):
+    if isinstance(value, str) and value.startswith("#"):
+        category = "color"
+    elif isinstance(value, numpy.ndarray) and value.shape == (3,):
+        category = "vector"
+    elif isinstance(value, (int, float)) and not isinstance(value, bool):
+        category = "number"
+    else:
+        return None
+    return {
+        "name": name,
+        "kind": "constant",
+        "category": category,
+        "value": describe_value(value),
+        "doc": "",
+    }
+
+def describe_members(cls, owner):
+    return [
+        {
+            "name": name,
+            "kind": "method",
+            "owner": owner,
+            "params": describe_parameters(method)[1:],
+            "doc": get_doc(method),
+        }
+        for name, method in inspect.getmembers(cls, inspect.isfunction)
+        if not name.startswith("_")
+    ]
+
+def describe_manimlib():
+    import manimlib.constants
+    import manimlib.imports
+    entries = []
+    for name, obj in sorted(vars(manimlib.imports).items()):
+        if name.startswith("_"):
+            continue
+        if inspect.isclass(obj) or inspect.isfunction(obj):
+            if not obj.__module__.startswith("manimlib"):
+                continue
+            entry = {"name": name, "doc": get_doc(obj)}
+            if inspect.isclass(obj):
+                entry["kind"] = "class"
+                entry["category"] = get_class_category(obj)
+                entry["bases"] = [base.__name__ for base in obj.__bases__]
+                entry["params"] = describe_parameters(obj, get_config(obj))
+            else:
+                entry["kind"] = "function"
+                entry["params"] = describe_parameters(obj)
+            entry["module"] = obj.__module__
+            entries.append(entry)
+        elif name in vars(manimlib.constants):
+            entry = describe_constant(name, obj)
+            if entry is not None:
+                entries.append(entry)
+    entries += describe_members(WebScene, "scene")
+    entries += describe_members(VMobject, "mobject")
+    return json.dumps(entries)
+
+def report_progress(method):
+    def wrapper(self, *args, **kwargs):
+        ret = method(self, *args, **kwargs)
+        js.reportProgress(len(self.animation_list))
+        return ret
+    return wrapper
+
+# Groups of Animations which the page can play, with their default lag ratios.
+# Other groups (e.g. LaggedStartMap) are sent as the first of these they
+# subclass.
+ANIMATION_GROUP_LAG_RATIOS = {
+    "Succession": 1,
+    "LaggedStart": 0.05,
+    "AnimationGroup": 0,
+}
+
+def play_together(method):
+    # Like manim, play several Animations at once, but as one AnimationGroup so
+    # that they're serialized as one entry of the animation list.
+    def wrapper(self, *args, **kwargs):
+        if len(args) > 1 and all(isinstance(arg, Animation) for arg in args):
+            args = [AnimationGroup(*args)]
+        return method(self, *args, **kwargs)
+    return wrapper
+
+# WebScene only adds the Mobjects which an Animation's get_args() returns to
+# the initial Mobjects, so a group returns those of the Animations in it.
+AnimationGroup.get_args = lambda self: [
+    mob
+    for animation in self.animations
+    for mob in animation.get_args()
+    if isinstance(mob, Mobject)
+]
+
+# manimlib records rotate, scale and stretch (and so flip, set_width and
+# set_height, which call them) in each Mobject's transformations, which are
+# sent as mobject.transformations and replayed by Group.applyTransformations.
+# apply_matrix is recorded here too. Moving a Mobject isn't, since its
+# position is sent separately.
+def apply_matrix(self, matrix, **kwargs):
+    # As in manimlib, matrices are applied about the origin by default.
+    if "about_point" not in kwargs and "about_edge" not in kwargs:
+        kwargs["about_point"] = ORIGIN
+    full_matrix = numpy.identity(self.dim)
+    matrix = numpy.array(matrix)
+    full_matrix[:matrix.shape[0], :matrix.shape[1]] = matrix
+    self.apply_points_function_about_point(
+        lambda points: numpy.dot(points, full_matrix.T),
+        transform=("apply_matrix", full_matrix, kwargs),
+        **kwargs
+    )
+    return self
+
+Mobject.apply_matrix = apply_matrix
+
+def get_animation_group_name(animation):
+    for cls in type(animation).__mro__:
+        if cls.__name__ in ANIMATION_GROUP_LAG_RATIOS:
+            return cls.__name__
+
+def get_default_path_arc(animation):
+    for cls in type(animation).__mro__:
+        config = cls.__dict__.get("CONFIG", {})
+        if "path_arc" in config:
+            return config["path_arc"]
+
+def serialize_animation(animation, play_kwargs={}):
+    if not isinstance(animation, AnimationGroup):
+        ret = animation_to_json([animation], play_kwargs)
+        # Transforms are sent with their path arc unless it's their class's.
+        if (
+            isinstance(animation, Transform) and
+            animation.path_arc != get_default_path_arc(animation)
+        ):
+            ret["pathArc"] = animation.path_arc
+        return ret
+    class_name = get_animation_group_name(animation)
+    ret = {
+        "className": class_name,
+        "args": [],
+        "animations": [serialize_animation(anim) for anim in animation.animations],
+        "durationSeconds": animation.run_time,
+    }
+    if animation.lag_ratio != ANIMATION_GROUP_LAG_RATIOS[class_name]:
+        ret["lagRatio"] = animation.lag_ratio
+    return ret
+
+animation_to_json = manimlib.web.web_scene.animation_to_json
+manimlib.web.web_scene.animation_to_json = (
+    lambda play_args, play_kwargs: serialize_animation(play_args[0], play_kwargs)
+)
+
+def get_mobject_state(mob):
+    # The properties which the page diffs between Animations, as
+    # mobject_to_json sends them. transformations is copied since manimlib
+    # keeps appending to it.
+    state = {"transformations": list(mob.transformations)}
+    if isinstance(mob, VMobject):
+        state["position"] = mob.get_center()
+        state["style"] = get_mobject_style(mob)
+    return state
+
+def scene_mobjects_to_json(mobjects):
+    return [
+        {
+            "name": id(mob),
+            "submobjects": scene_mobjects_to_json(mob.submobjects),
+            **get_mobject_state(mob),
+        }
+        for mob in mobjects
+    ]
+
+mobject_to_json = manimlib.web.web_scene.mobject_to_json
+manimlib.web.web_scene.mobject_to_json = lambda mob: {
+    **mobject_to_json(mob),
+    "transformations": list(mob.transformations),
+}
+manimlib.web.web_scene.scene_mobjects_to_json = scene_mobjects_to_json
+
+WebScene.play = report_progress(play_together(WebScene.play))
+WebScene.wait = report_progress(WebScene.wait)
+
+def to_json(obj):
+    if isinstance(obj, numpy.ndarray):
+        return obj.tolist()
+    if isinstance(obj, numpy.generic):
+        return obj.item()
+    if callable(obj):
+        # Functions (e.g. stop conditions) can't be sent to the page.
+        return None
+    return str(obj)
+
+def serialize_scene(scene):
+    js.reportProgress(len(scene.animation_list), "serializing")
+    return json.dumps({
+        "scenes_before_animation": scene.scenes_before_animation,
+        "animation_list": scene.animation_list,
+        "initial_mobject_dict": scene.initial_mobject_dict,
+    }, default=to_json)
+`;
+
+// The id of the request currently being handled.
+let currentId = null;
+// Points of TeX strings rendered by the page, keyed by TeX string.
+let texPoints = {};
+// TeX strings which Python asked for but which haven't been rendered yet.
+let missingTex = [];
+// getScene requests waiting on TeX from the page, keyed by id.
+let waitingForTex = {};
+
+self.reportProgress = function(animations, stage = "running") {
+  self.postMessage({
+    id: currentId,
+    type: "progress",
+    stage: stage,
+    animations: animations,
+  });
+};
+
+// Called by manimlib.web.utils.tex_to_points. TeX is rendered with MathJax,
+// which needs the DOM, so unknown TeX aborts the Scene. It's rendered by the
+// page and the Scene is run again.
+self.texToPaths = function(tex) {
+  if (!(tex in texPoints)) {
+    missingTex.push(tex);
+    throw new Error(`TeX hasn't been rendered: ${tex}`);
+  }
+  return texPoints[tex];
+};
+
+// An Error raised by the user's code, described by python.
+class UserCodeError extends Error {
+  constructor(python) {
+    super(`${python.type}: ${python.message}`);
+    this.python = python;
+  }
+}
+
+function getScene(request) {
+  let runScene = self.pyodide.pyimport("run_scene");
+  missingTex = [];
+  let result = JSON.parse(runScene(request.code, request.sceneName));
+  if (missingTex.length > 0) {
+    waitingForTex[request.id] = request;
+    self.postMessage({ id: request.id, type: "tex", texStrings: missingTex });
+    return undefined;
+  }
+  if ("error" in result) {
+    throw new UserCodeError(result.error);
+  }
+  return result;
+}
+
+function getSceneChoices(request) {
+  let getSceneChoices = self.pyodide.pyimport("get_scene_choices");
+  let result = JSON.parse(getSceneChoices(request.code));
+  if ("error" in result) {
+    throw new UserCodeError(result.error);
+  }
+  return result.choices;
+}
+
+function describeManimlib() {
+  let describeManimlib = self.pyodide.pyimport("describe_manimlib");
+  return JSON.parse(describeManimlib());
+}
+
+function handleRequest(request) {
+  currentId = request.id;
+  let result;
+  try {
+    switch (request.type) {
+      case "getScene":
+        result = getScene(request);
+        break;
+      case "getSceneChoices":
+        result = getSceneChoices(request);
+        break;
+      case "describeManimlib":
+        result = describeManimlib();
+        break;
+      case "texPoints":
+        Object.assign(texPoints, request.points);
+        if (request.id in waitingForTex) {
+          let sceneRequest = waitingForTex[request.id];
+          delete waitingForTex[request.id];
+          handleRequest(sceneRequest);
+        }
+        return;
+      default:
+        throw new Error(`Unknown request ${request.type}`);
+    }
+  } catch (error) {
+    self.postMessage({
+      id: request.id,
+      type: "error",
+      message: error.message,
+      python: error.python,
+    });
+    return;
+  } finally {
+    currentId = null;
+  }
+  if (result !== undefined) {
+    self.postMessage({ id: request.id, type: "result", result: result });
+  }
+}
+
+let ready = self.languagePluginLoader
+  .then(() => self.pyodide.loadPackage("manimlib"))
+  .then(() => {
+    self.pyodide.runPython(SETUP_CODE);
+    self.postMessage({ type: "ready" });
+  });
+ready.catch(error => {
+  self.postMessage({ type: "failed", message: describeLoadError(error) });
+});
+
+function describeLoadError(error) {
+  let message = error instanceof Error ? error.message : String(error);
+  return `Pyodide or manimlib couldn't be loaded: ${message}`;
+}
+
+self.onmessage = function(e) {
+  ready.then(() => handleRequest(e.data), error => {
+    self.postMessage({
+      id: e.data.id,
+      type: "error",
+      message: describeLoadError(error),
+    });
+  });
+};
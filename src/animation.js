@@ -1,3 +1,4 @@
+import * as consts from './constants.js';
 import * as utils from './utils.js';
 import * as _ from 'lodash';
 
@@ -113,6 +114,17 @@ class Animation {
     }
   }
 
+  /* Maps the number of seconds elapsed since the Animation began to the alpha
+   * passed to interpolate(). Animations without a positive runtime finish
+   * immediately.
+   */
+  getAlpha(elapsedSeconds) {
+    if (!(this.runtime > 0)) {
+      return 1;
+    }
+    return Math.min(Math.max(elapsedSeconds / this.runtime, 0), 1);
+  }
+
   isFinished(alpha) {
     return alpha >= 1;
   }
@@ -121,6 +133,13 @@ class Animation {
     return this.mobject.clone();
   }
 
+  /* Returns the Mobjects which have to be in the Scene for the Animation to
+   * be seen.
+   */
+  getAnimatedMobjects() {
+    return this.mobject ? [this.mobject] : [];
+  }
+
   static interpolateSubmobject() {
     // eslint-disable-next-line
     console.error(`${this.name} does not override interpolateSubmobject()`);
@@ -130,12 +149,30 @@ class Animation {
     // eslint-disable-next-line
     console.error(`${this.name} does not override getDiff()`);
   }
+
+  /* Describes the Animation and the arguments its constructor takes, which
+   * getDiff() takes in the same order, so that the lab can offer it. The
+   * schema is of the form { description, args: [{ name, type, ... }, ...] }
+   * where each type is one of
+   *   "mobject": the name of a Mobject, with inScene saying whether it has to
+   *              be in the Scene before the Animation or has to be absent,
+   *   "number":  a number, with a default and optionally a min and max,
+   *   "color":   a hex string, with a default.
+   */
+  static getSchema() {
+    return { description: "", args: [] };
+  }
 }
 
-class ReplacementTransform extends Animation {
-  constructor(mobject, targetMobject) {
+/* Morphs mobject into targetMobject, moving its points along arcs through
+ * pathArc radians counterclockwise. mobject stays in the Scene with the
+ * target's shape, while targetMobject is only used for its shape.
+ */
+class Transform extends Animation {
+  constructor(mobject, targetMobject, pathArc=null) {
     super(mobject);
     this.targetMobject = targetMobject;
+    this.pathArc = pathArc === null ? this.constructor.getDefaultPathArc() : pathArc;
   }
 
   begin() {
@@ -154,15 +191,100 @@ class ReplacementTransform extends Animation {
   }
 
   interpolateSubmobject(alpha, submob, start, targetCopy) {
-    submob.interpolate(start, targetCopy, alpha);
+    submob.interpolate(start, targetCopy, alpha, this.pathArc);
+  }
+
+  static getDefaultPathArc() {
+    return 0;
+  }
+
+  /* mobject takes on the shape of targetMobject, so later Animations can
+   * keep using it. Only Mobjects without submobjects can take on another's
+   * shape (see Transform.canBecome), so the diff is left invalid for the
+   * others rather than have them snap back once the Animation is over.
+   */
+  static getDiff(mobject, targetMobject, mobjectData) {
+    let data = mobjectData[mobject];
+    let targetData = mobjectData[targetMobject];
+    if (
+      data === undefined ||
+      targetData === undefined ||
+      !Transform.canBecome(data) ||
+      !Transform.canBecome(targetData)
+    ) {
+      return {
+        'modify': [[
+          mobject,
+          { type: "become", shape: null },
+          { type: "become", shape: null },
+        ]],
+      };
+    }
+    return {
+      'modify': [utils.getBecomeModification(mobject, data, targetData)],
+    };
+  }
+
+  /* Returns whether the Mobject described by data can take on another's
+   * shape, or give its own, which Groups and TeX can't.
+   */
+  static canBecome(data) {
+    return !utils.isGroupData(data) && !utils.isTexData(data);
+  }
+
+  static getSchema() {
+    return {
+      description: "Morph a Mobject into the shape of another",
+      args: [
+        { name: "Start Mobject", type: "mobject", inScene: true },
+        { name: "Target Mobject", type: "mobject", inScene: false },
+      ],
+    };
+  }
+}
+
+class ClockwiseTransform extends Transform {
+  static getDefaultPathArc() {
+    return -Math.PI;
+  }
+
+  static getSchema() {
+    return Object.assign(Transform.getSchema(), {
+      description: "Morph a Mobject into the shape of another, turning clockwise",
+    });
   }
+}
 
+class CounterclockwiseTransform extends Transform {
+  static getDefaultPathArc() {
+    return Math.PI;
+  }
+
+  static getSchema() {
+    return Object.assign(Transform.getSchema(), {
+      description: "Morph a Mobject into the shape of another, turning counterclockwise",
+    });
+  }
+}
+
+/* Morphs mobject into targetMobject, which then replaces it in the Scene. */
+class ReplacementTransform extends Transform {
   static getDiff(mobject, targetMobject) {
     return {
       'add': [targetMobject],
       'remove': [mobject],
     };
   }
+
+  static getSchema() {
+    return {
+      description: "Morph one Mobject into another",
+      args: [
+        { name: "Start Mobject", type: "mobject", inScene: true },
+        { name: "End Mobject", type: "mobject", inScene: false },
+      ],
+    };
+  }
 }
 
 class ShowCreation extends Animation {
@@ -181,6 +303,15 @@ class ShowCreation extends Animation {
       'add': [mobject],
     };
   }
+
+  static getSchema() {
+    return {
+      description: "Draw a Mobject stroke by stroke",
+      args: [
+        { name: "Mobject", type: "mobject", inScene: false },
+      ],
+    };
+  }
 }
 
 // TODO: This should start with a thick stroke width then fade to a thin one
@@ -193,18 +324,25 @@ class Write extends Animation {
   }
 
   setConfigFromLength(length) {
+    let config = Write.getConfigFromLength(length);
     if (this.runtime === null) {
-      if (length) {
-        this.runtime = 1;
-      } else {
-        this.runtime = 2;
-      }
+      this.runtime = config.runtime;
     }
     if (this.lagRatio === null) {
-      this.lagRatio = Math.min(4 / length, 0.2);
+      this.lagRatio = config.lagRatio;
     }
   }
 
+  /* Returns the runtime and lagRatio a Write of a Mobject whose heirarchy
+   * has length members defaults to, of the form { runtime, lagRatio }.
+   */
+  static getConfigFromLength(length) {
+    return {
+      runtime: length < 15 ? 1 : 2,
+      lagRatio: Math.min(4 / length, 0.2),
+    };
+  }
+
   begin() {
     this.mobject.applyStyle({ strokeWidth: 1, fillOpacity: 0 });
     Animation.prototype.begin.call(this);
@@ -231,6 +369,15 @@ class Write extends Animation {
       'add': [mobject],
     };
   }
+
+  static getSchema() {
+    return {
+      description: "Write out text or draw a Mobject",
+      args: [
+        { name: "Mobject", type: "mobject", inScene: false },
+      ],
+    };
+  }
 }
 
 // class ApplyPointwiseFunction extends Animation {
@@ -281,6 +428,15 @@ class FadeIn extends Animation {
       'add': [mobject],
     };
   }
+
+  static getSchema() {
+    return {
+      description: "Fade a Mobject into view",
+      args: [
+        { name: "End Mobject", type: "mobject", inScene: false },
+      ],
+    };
+  }
 }
 
 class FadeOut extends Animation {
@@ -296,36 +452,205 @@ class FadeOut extends Animation {
     for (let mobjectName of Object.keys(mobjectData)) {
       let data = mobjectData[mobjectName];
       if (data.submobjects.includes(mobject)) {
-        ret['modify'].push([
+        ret['modify'].push(utils.getRemoveModification(
           mobjectName,
-          "remove " + mobject,
-          "add " + mobject,
-        ]);
+          mobject,
+          data.submobjects.indexOf(mobject),
+        ));
       }
     }
     return ret;
   }
+
+  static getSchema() {
+    return {
+      description: "Fade a Mobject out of view",
+      args: [
+        { name: "Start Mobject", type: "mobject", inScene: true },
+      ],
+    };
+  }
 }
 
 class Wait extends Animation {
+  constructor(runtime=consts.DEFAULT_WAIT_TIME) {
+    super(null, utils.linear, 0, runtime);
+  }
+
   interpolateMobject() {}
 
   static getDiff() {
     return {};
   }
 
+  static getSchema() {
+    return {
+      description: "Hold a still frame",
+      args: [],
+    };
+  }
+
   createStartingMobject() {}
 }
 
+/* Plays several Animations at once, starting each one lagRatio of the way
+ * through the one before it, as manim's AnimationGroup does. Unless it's given
+ * a runtime, it lasts until the last of them finishes; otherwise their timing
+ * is scaled to fit.
+ */
+class AnimationGroup extends Animation {
+  constructor(animations, lagRatio=null, runtime=null) {
+    super(null, utils.linear, lagRatio, runtime);
+    this.animations = animations;
+    if (this.lagRatio === null) {
+      this.lagRatio = this.constructor.getDefaultLagRatio();
+    }
+    this.timings = AnimationGroup.getTimings(
+      animations.map(animation => animation.runtime),
+      this.lagRatio,
+    );
+    this.maxEndTime = Math.max(0, ...this.timings.map(([, end]) => end));
+    if (this.runtime === null) {
+      this.runtime = this.maxEndTime;
+    }
+  }
+
+  /* Each Animation is begun only once its start time arrives so that it
+   * starts from where the ones before it left its Mobjects, as manim's
+   * Succession does. Until then, the Mobjects it brings into the Scene are
+   * hidden.
+   */
+  begin() {
+    this.started = this.animations.map(() => false);
+    this.running = this.animations.map(() => false);
+    let seen = new Set();
+    this.enteringMobjects = this.animations.map(animation => {
+      let entering = animation.getAnimatedMobjects().filter(
+        mobject => !seen.has(mobject) && mobject.parent === undefined,
+      );
+      animation.getAnimatedMobjects().forEach(mobject => seen.add(mobject));
+      return entering;
+    });
+    this.interpolate(0);
+  }
+
+  /* Each Animation which has started is interpolated as of the time alpha of
+   * the way through the group. When seeking back before the start of one
+   * which was running, it's returned to its start first, latest first, so
+   * that the ones before it then pick up from there. It keeps the copies it
+   * was begun with for when it starts again.
+   */
+  interpolate(alpha) {
+    let time = utils.clip(alpha, 0, 1) * this.maxEndTime;
+    for (let i = this.animations.length - 1; i >= 0; i--) {
+      if (this.running[i] && time < this.timings[i][0]) {
+        this.animations[i].interpolate(0);
+        this.running[i] = false;
+      }
+    }
+    for (let [i, animation] of this.animations.entries()) {
+      let [start, end] = this.timings[i];
+      for (let mobject of this.enteringMobjects[i]) {
+        mobject.visible = time >= start;
+      }
+      if (time < start) {
+        continue;
+      }
+      if (!this.started[i]) {
+        animation.begin();
+        this.started[i] = true;
+      }
+      this.running[i] = true;
+      if (end > start) {
+        animation.interpolate(utils.clip((time - start) / (end - start), 0, 1));
+      } else {
+        animation.interpolate(1);
+      }
+    }
+  }
+
+  getAnimatedMobjects() {
+    return _.uniq(_.flatMap(
+      this.animations,
+      animation => animation.getAnimatedMobjects(),
+    ));
+  }
+
+  createStartingMobject() {}
+
+  static getDefaultLagRatio() {
+    return 0;
+  }
+
+  /* Returns the [start, end] of Animations lasting durations seconds when
+   * each starts lagRatio of the way through the one before it.
+   */
+  static getTimings(durations, lagRatio) {
+    let timings = [];
+    let time = 0;
+    for (let duration of durations) {
+      timings.push([time, time + duration]);
+      time = utils.interpolate(time, time + duration, lagRatio);
+    }
+    return timings;
+  }
+
+  /* Returns the diff of the group given the diffs of its Animations, which
+   * are applied in order.
+   */
+  static getDiff(diffs) {
+    return diffs.reduce((total, diff) => utils.combineDiffs(total, diff), {});
+  }
+
+  static getSchema() {
+    return {
+      description: "Play several animations together",
+      args: [],
+    };
+  }
+}
+
+class Succession extends AnimationGroup {
+  static getDefaultLagRatio() {
+    return 1;
+  }
+
+  static getSchema() {
+    return {
+      description: "Play several animations one after another",
+      args: [],
+    };
+  }
+}
+
+class LaggedStart extends AnimationGroup {
+  static getDefaultLagRatio() {
+    return 0.05;
+  }
+
+  static getSchema() {
+    return {
+      description: "Play several animations with staggered starts",
+      args: [],
+    };
+  }
+}
+
 // Any Animation exported here must also be exported in manim.js before it can
 // be imported.
 export {
   Animation,
   Wait,
+  Transform,
+  ClockwiseTransform,
+  CounterclockwiseTransform,
   ReplacementTransform,
   ShowCreation,
   // ApplyPointwiseFunction,
   Write,
   FadeOut,
   FadeIn,
+  AnimationGroup,
+  Succession,
+  LaggedStart,
 }
@@ -0,0 +1,452 @@
+/*
+ * Generates the Python for a MobjectLab Scene so that changes made in the GUI
+ * can be written back to the code. The Scene is described by the same data
+ * the OfflineRenderer takes (see MobjectLabContainer.getSceneData). Only the
+ * construct() method of the Scene's class is replaced when the class already
+ * exists in the code, so other methods and CONFIG are left alone.
+ */
+import chroma from 'chroma-js'
+import * as _ from 'lodash'
+import * as consts from './constants.js'
+import * as lab from './lab.js'
+import * as Manim from './manim.js'
+import * as utils from './utils.js'
+
+const INDENT = "    ";
+const IMPORT_LINE = "from manimlib.imports import *";
+
+/* Returns the Python literal for a JSON value. */
+export function toPython(value) {
+  if (value === null || value === undefined) {
+    return "None";
+  } else if (typeof value === "boolean") {
+    return value ? "True" : "False";
+  } else if (typeof value === "number") {
+    return formatNumber(value);
+  } else if (typeof value === "string") {
+    return JSON.stringify(value);
+  } else if (Array.isArray(value)) {
+    return `[${value.map(toPython).join(", ")}]`;
+  }
+  let items = Object.keys(value).map(
+    key => `${JSON.stringify(key)}: ${toPython(value[key])}`,
+  );
+  return `{${items.join(", ")}}`;
+}
+
+function formatNumber(x) {
+  if (!isFinite(x)) {
+    return isNaN(x) ? 'float("nan")' : `float("${x > 0 ? "" : "-"}inf")`;
+  }
+  return String(+x.toFixed(6));
+}
+
+function formatKwargs(kwargs) {
+  return Object.keys(kwargs).map(key => `${key}=${toPython(kwargs[key])}`);
+}
+
+/* Returns [hex, opacity] for a color which may carry its own alpha. */
+function getColorAndOpacity(color, opacity) {
+  let c = chroma(color);
+  return [c.hex("rgb").toUpperCase(), opacity !== undefined ? opacity : c.alpha()];
+}
+
+/* Returns the names of the Mobjects which are generated by TexMobjects rather
+ * than constructed on their own, mapped to the Python expressions for them.
+ */
+function getTexSubmobjectExpressions(mobjects) {
+  let expressions = {};
+  let visit = (name, expression) => {
+    let data = mobjects[name];
+    (data.submobjects || []).forEach((submobjectName, i) => {
+      let submobjectExpression = `${expression}[${i}]`;
+      expressions[submobjectName] = submobjectExpression;
+      visit(submobjectName, submobjectExpression);
+    });
+  };
+  for (let name of Object.keys(mobjects)) {
+    if (utils.isTexData(mobjects[name]) && !(name in expressions)) {
+      visit(name, name);
+    }
+  }
+  return expressions;
+}
+
+/* Returns the lines applying transformations (see Group.applyTransformations)
+ * to the Mobject expression.
+ */
+function getTransformationLines(expression, transformations) {
+  let lines = [];
+  for (let [command, ...commandArgs] of transformations) {
+    // manimlib records the keyword arguments after the positional ones.
+    let kwargs = _.isPlainObject(_.last(commandArgs))
+      ? formatKwargs(commandArgs.pop()) : [];
+    let args;
+    if (command === "rotate") {
+      let [angle, axis] = commandArgs;
+      args = [toPython(angle)];
+      if (axis !== undefined) {
+        args.push(`axis=${toPython(axis)}`);
+      }
+    } else {
+      args = commandArgs.map(toPython);
+    }
+    lines.push(`${expression}.${command}(${args.concat(kwargs).join(", ")})`);
+  }
+  return lines;
+}
+
+/* Returns the lines giving the Mobject name, described by data, the shape it
+ * has with transformations in place of its own, keeping where it is and its
+ * style. Groups aren't transformed in the lab, so they're left alone.
+ */
+function getRebuildLines(name, data, transformations, expressions) {
+  if (utils.isGroupData(data)) {
+    return [];
+  }
+  let expression = expressions[name];
+  let rebuilt = `${name.replace(/\W/g, "_")}_rebuilt`;
+  return [
+    getConstructorLine(rebuilt, data, expressions),
+    ...getTransformationLines(rebuilt, transformations),
+    `${rebuilt}.move_to(${expression})`,
+    `${rebuilt}.match_style(${expression})`,
+    `${expression}.become(${rebuilt})`,
+  ];
+}
+
+function getPositionLine(expression, position) {
+  position = position.slice(0, 3);
+  while (position.length < 3) {
+    position.push(0);
+  }
+  return `${expression}.move_to(${toPython(position)})`;
+}
+
+function getStyleLines(expression, style) {
+  let [strokeColor, strokeOpacity] = getColorAndOpacity(style.strokeColor, style.strokeOpacity);
+  let [fillColor, fillOpacity] = getColorAndOpacity(style.fillColor, style.fillOpacity);
+  return [
+    `${expression}.set_stroke(color=${toPython(strokeColor)}, ` +
+    `width=${toPython(style.strokeWidth)}, opacity=${toPython(strokeOpacity)})`,
+    `${expression}.set_fill(color=${toPython(fillColor)}, opacity=${toPython(fillOpacity)})`,
+  ];
+}
+
+/* Returns the line inserting the Mobject expression into the submobjects of
+ * the Group groupExpression at index, or adding it at the end.
+ */
+function getInsertLine(groupExpression, expression, index) {
+  if (index === undefined) {
+    return `${groupExpression}.add(${expression})`;
+  }
+  return `${groupExpression}.submobjects.insert(${index}, ${expression})`;
+}
+
+/* Returns the lines making a modification (see utils.MODIFICATION_FIELDS) to
+ * the Mobject name, whose data is in mobjects.
+ */
+function getModificationLines(name, command, inverse, mobjects, expressions) {
+  let expression = expressions[name];
+  switch (command.type) {
+    case "add":
+      return [getInsertLine(expression, expressions[command.submobject], command.index)];
+    case "remove":
+      return [`${expression}.remove(${expressions[command.submobject]})`];
+    case "reorder":
+      return [
+        `${expression}.remove(${expressions[command.submobject]})`,
+        getInsertLine(expression, expressions[command.submobject], command.index),
+      ];
+    case "reparent":
+      return [
+        `${expressions[command.from]}.remove(${expression})`,
+        getInsertLine(expressions[command.to], expression, command.index),
+      ];
+    case "move":
+      return [getPositionLine(expression, command.position)];
+    case "restyle":
+      return getStyleLines(expression, command.style);
+    case "transform": {
+      // Transformations accumulate, so only those made since can be written.
+      let made = inverse.transformations;
+      if (_.isEqual(command.transformations.slice(0, made.length), made)) {
+        return getTransformationLines(
+          expression,
+          command.transformations.slice(made.length),
+        );
+      }
+      // Transformations which were made can't be taken back, so the
+      // Mobject is rebuilt with all of them.
+      return getRebuildLines(name, mobjects[name], command.transformations, expressions);
+    }
+    default:
+      return [];
+  }
+}
+
+/* Returns the line assigning the Mobject described by data, as it's
+ * constructed, to the variable name.
+ */
+function getConstructorLine(name, data, expressions) {
+  let params = Object.assign({}, data.params);
+  let args = [];
+  if (utils.isTexData(data)) {
+    args = (params.tex_strings || []).map(toPython);
+    delete params.tex_strings;
+  } else if (utils.isGroupData(data)) {
+    args = data.submobjects.map(submobjectName => expressions[submobjectName]);
+  }
+  args = args.concat(formatKwargs(params));
+  return `${name} = ${data.className}(${args.join(", ")})`;
+}
+
+/* Returns the lines constructing the Mobject name. */
+function getMobjectLines(name, data, expressions) {
+  let lines = [getConstructorLine(name, data, expressions)];
+  lines.push(...getTransformationLines(name, data.transformations || []));
+  if (data.position !== undefined && !utils.isGroupData(data)) {
+    lines.push(getPositionLine(name, data.position));
+  }
+  if (data.style !== undefined && !utils.isTexData(data)) {
+    lines.push(...getStyleLines(name, data.style));
+  }
+  return lines;
+}
+
+/* Returns the lines making the changes in a scene diff, given the data of
+ * the Mobjects before it. The changes made by the Animations themselves
+ * (their animation diffs) happen implicitly when they're played.
+ */
+function getDiffLines(diff, mobjects, expressions) {
+  diff = utils.getFullDiff(diff);
+  let lines = [];
+  let addedToParent = utils.getMobjectsAddedToParent(diff);
+  let removedFromParent = utils.getMobjectsRemovedFromParent(diff);
+  let added = diff.add.filter(name => !addedToParent.includes(name));
+  let removed = diff.remove.filter(name => !removedFromParent.includes(name));
+  if (added.length > 0) {
+    lines.push(`self.add(${added.map(name => expressions[name]).join(", ")})`);
+  }
+  if (removed.length > 0) {
+    lines.push(`self.remove(${removed.map(name => expressions[name]).join(", ")})`);
+  }
+  for (let [name, command, inverse] of diff.modify) {
+    lines.push(...getModificationLines(name, command, inverse, mobjects, expressions));
+  }
+  return lines;
+}
+
+/* Returns the Python constructing the Animation described by animation,
+ * passing it the keyword arguments in kwargs. Groups of Animations construct
+ * the Animations in them, each with its own run_time.
+ */
+function getAnimationExpression(animation, expressions, kwargs = []) {
+  let args;
+  if (animation.animations !== undefined) {
+    args = animation.animations.map(child => getAnimationExpression(
+      child,
+      expressions,
+      getRunTimeKwargs(child),
+    ));
+  } else {
+    let schema = Manim[animation.className].getSchema();
+    args = animation.args.map((arg, i) => {
+      let type = schema.args[i] !== undefined ? schema.args[i].type : "mobject";
+      if (type === "mobject") {
+        if (!(arg in expressions)) {
+          throw new Error(`${animation.className} has no Mobject for ${schema.args[i].name}`);
+        }
+        return expressions[arg];
+      } else if (type === "color") {
+        return toPython(getColorAndOpacity(arg)[0]);
+      }
+      return toPython(arg);
+    });
+  }
+  if (animation.lagRatio !== undefined) {
+    args.push(`lag_ratio=${toPython(animation.lagRatio)}`);
+  }
+  if (animation.rateFunc !== undefined) {
+    args.push(`rate_func=${animation.rateFunc}`);
+  }
+  if (animation.pathArc !== undefined) {
+    args.push(`path_arc=${toPython(animation.pathArc)}`);
+  }
+  return `${animation.className}(${args.concat(kwargs).join(", ")})`;
+}
+
+function getRunTimeKwargs(animation) {
+  let runTime = animation.durationSeconds;
+  return runTime !== undefined && runTime !== consts.DEFAULT_RUN_TIME
+    ? [`run_time=${toPython(runTime)}`] : [];
+}
+
+function getAnimationLine(animation, expressions) {
+  let runTime = animation.durationSeconds;
+  if (animation.className === "Wait") {
+    return `self.wait(${runTime !== undefined ? toPython(runTime) : ""})`;
+  }
+  let args = [getAnimationExpression(animation, expressions)];
+  return `self.play(${args.concat(getRunTimeKwargs(animation)).join(", ")})`;
+}
+
+/* Returns readable descriptions of what keeps the Scene described by
+ * sceneData from being written as code, which is empty if it can be.
+ */
+export function getCodeProblems(sceneData) {
+  let { mobjects, animations, sceneDiffs, animationDiffs } = sceneData;
+  let validity = lab.validateDiffs(mobjects, sceneDiffs, animationDiffs);
+  let problems = [];
+  animations.forEach((animation, i) => {
+    let description = `Animation ${i + 1} (${animation.className})`;
+    if (!lab.argsAreResolved(animation, mobjects)) {
+      problems.push(`${description} is missing a Mobject`);
+    } else if (!validity[i].sceneIsValid) {
+      problems.push(`The setup before ${description} is invalid`);
+    } else if (!validity[i].animationIsValid) {
+      problems.push(`${description} is invalid`);
+    }
+  });
+  return problems;
+}
+
+/* Returns the lines of the body of construct() for the Scene described by
+ * sceneData, without indentation. Throws an Error whose problems property
+ * lists what's wrong (see getCodeProblems) if the code would be broken or
+ * wouldn't play the Scene as it is in the lab.
+ */
+export function generateConstructBody(sceneData) {
+  let problems = getCodeProblems(sceneData);
+  if (problems.length > 0) {
+    let error = new Error(`The Scene can't be written as code: ${problems.join("; ")}`);
+    error.problems = problems;
+    throw error;
+  }
+  let { mobjects, animations, sceneDiffs, animationDiffs } = sceneData;
+  let expressions = getTexSubmobjectExpressions(mobjects);
+  let names = Object.keys(mobjects).filter(name => !(name in expressions));
+  for (let name of names) {
+    expressions[name] = name;
+  }
+
+  // Groups are constructed after their submobjects.
+  let lines = [];
+  let defined = new Set();
+  let define = name => {
+    if (defined.has(name) || !names.includes(name)) {
+      return;
+    }
+    defined.add(name);
+    let data = mobjects[name];
+    if (utils.isGroupData(data)) {
+      data.submobjects.forEach(define);
+    }
+    lines.push(...getMobjectLines(name, data, expressions));
+  };
+  names.forEach(define);
+
+  // The Mobject data as it is at each point of the Scene.
+  let data = lab.cloneMobjectData(mobjects);
+  let applyToData = diff => {
+    for (let [name, command] of diff["modify"] || []) {
+      utils.applyModification(data, name, command);
+    }
+  };
+  animations.forEach((animation, i) => {
+    lines.push("");
+    lines.push(...getDiffLines(sceneDiffs[i] || {}, data, expressions));
+    lines.push(getAnimationLine(animation, expressions));
+    applyToData(sceneDiffs[i] || {});
+    applyToData(animationDiffs[i] || {});
+  });
+  if (lines.length === 0) {
+    lines.push("pass");
+  }
+  return lines;
+}
+
+/* Returns the source of a WebScene subclass named sceneName. */
+export function generateSceneClass(sceneName, sceneData) {
+  let body = generateConstructBody(sceneData);
+  return [
+    `class ${sceneName}(WebScene):`,
+    `${INDENT}def construct(self):`,
+    ...body.map(line => line === "" ? "" : INDENT + INDENT + line),
+  ].join("\n");
+}
+
+function getIndent(line) {
+  return line.match(/^\s*/)[0];
+}
+
+function isBlank(line) {
+  return line.trim() === "";
+}
+
+/* Returns the index one past the last line of the block starting at
+ * lines[start], i.e. the statement there and everything indented under it,
+ * not counting trailing blank lines.
+ */
+function findBlockEnd(lines, start) {
+  let indent = getIndent(lines[start]).length;
+  let end = start + 1;
+  for (let i = start + 1; i < lines.length; i++) {
+    if (isBlank(lines[i])) {
+      continue;
+    }
+    if (getIndent(lines[i]).length <= indent) {
+      break;
+    }
+    end = i + 1;
+  }
+  return end;
+}
+
+/* Returns code with the construct() method of the class sceneName replaced
+ * by one generated from sceneData. The class is appended if it isn't in the
+ * code.
+ */
+export function updateSceneCode(code, sceneName, sceneData) {
+  let lines = code.split("\n");
+  let classPattern = new RegExp(`^class\\s+${sceneName}\\s*[(:]`);
+  let classStart = lines.findIndex(line => classPattern.test(line));
+  if (classStart === -1) {
+    let prefix = code.replace(/\s*$/, "");
+    if (!lines.includes(IMPORT_LINE)) {
+      prefix = prefix === "" ? IMPORT_LINE : `${IMPORT_LINE}\n\n${prefix}`;
+    }
+    return `${prefix}\n\n\n${generateSceneClass(sceneName, sceneData)}\n`;
+  }
+
+  let classEnd = findBlockEnd(lines, classStart);
+  let constructStart = -1;
+  for (let i = classStart + 1; i < classEnd; i++) {
+    if (/^\s*def\s+construct\s*\(/.test(lines[i])) {
+      constructStart = i;
+      break;
+    }
+  }
+  let methodIndent, replaceStart, replaceEnd;
+  if (constructStart !== -1) {
+    methodIndent = getIndent(lines[constructStart]);
+    replaceStart = constructStart;
+    replaceEnd = findBlockEnd(lines, constructStart);
+  } else {
+    let firstLine = lines.slice(classStart + 1, classEnd).find(line => !isBlank(line));
+    methodIndent = firstLine !== undefined ? getIndent(firstLine) : INDENT;
+    replaceStart = replaceEnd = classEnd;
+  }
+  let bodyIndent = methodIndent + INDENT;
+  let method = [
+    `${methodIndent}def construct(self):`,
+    ...generateConstructBody(sceneData).map(
+      line => line === "" ? "" : bodyIndent + line,
+    ),
+  ];
+  if (constructStart === -1 && classEnd > classStart + 1) {
+    method.unshift("");
+  }
+  lines.splice(replaceStart, replaceEnd - replaceStart, ...method);
+  return lines.join("\n");
+}
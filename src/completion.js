@@ -0,0 +1,336 @@
+/*
+ * Completion, signature hints, and hover docs for manimlib in the code editor.
+ * The names come from PythonWorker.describeManimlib, which introspects
+ * manimlib in the worker. Each entry is of the form
+ * {
+ *   name:     the name,
+ *   kind:     "class", "function", "constant", or "method",
+ *   category: for classes, "mobject", "animation", "scene", or "class"; for
+ *             constants, "color", "vector", or "number",
+ *   owner:    for methods, "scene" or "mobject",
+ *   params:   for callables, [{ name, text, kind }, ...], where kind is
+ *             "positional", "keyword", "var_positional", or "var_keyword",
+ *   bases:    for classes, the names of their base classes,
+ *   value:    for constants, their value,
+ *   doc:      the docstring,
+ * }
+ */
+
+const IDENTIFIER = /[A-Za-z_]\w*/;
+// The name being typed, possibly following an attribute access.
+const NAME_BEFORE_CURSOR = /(?:([A-Za-z_][\w.]*)\.)?([A-Za-z_]\w*)?$/;
+// The callee of a call whose opening parenthesis follows it.
+const CALLEE = /((?:[A-Za-z_]\w*\.)*[A-Za-z_]\w*)\s*$/;
+// How many lines to search back for the opening parenthesis of a call.
+const MAX_CALL_LINES = 20;
+const MAX_COMPLETIONS = 50;
+const MAX_DOC_LENGTH = 600;
+
+function isCodeToken(token) {
+  return token.type === null || !/string|comment/.test(token.type);
+}
+
+class ManimCatalog {
+  constructor(entries = []) {
+    this.globals = new Map();
+    this.members = { scene: new Map(), mobject: new Map() };
+    for (let entry of entries) {
+      if (entry.kind === "method") {
+        this.members[entry.owner].set(entry.name, entry);
+      } else {
+        this.globals.set(entry.name, entry);
+      }
+    }
+  }
+
+  isEmpty() {
+    return this.globals.size === 0;
+  }
+
+  /* Returns the names available after obj (e.g. "self" or "circle"), or the
+   * global names if obj is undefined. Anything other than self is assumed to
+   * be a Mobject.
+   */
+  getScope(obj) {
+    if (obj === undefined) {
+      return this.globals;
+    }
+    return obj === "self" ? this.members.scene : this.members.mobject;
+  }
+
+  /* Looks up a possibly dotted name, e.g. "Circle" or "self.play". */
+  lookup(name) {
+    let dot = name.lastIndexOf(".");
+    if (dot === -1) {
+      return this.globals.get(name);
+    }
+    return this.getScope(name.slice(0, dot)).get(name.slice(dot + 1));
+  }
+
+  /* A CodeMirror hint function (see the show-hint addon). */
+  getHints(cm) {
+    let cursor = cm.getCursor();
+    if (!isCodeToken(cm.getTokenAt(cursor))) {
+      return null;
+    }
+    let before = cm.getLine(cursor.line).slice(0, cursor.ch);
+    let [, obj, prefix = ""] = before.match(NAME_BEFORE_CURSOR);
+    if (obj === undefined && prefix === "") {
+      return null;
+    }
+    let lowerPrefix = prefix.toLowerCase();
+    let matches = [];
+    for (let entry of this.getScope(obj).values()) {
+      if (entry.name.toLowerCase().startsWith(lowerPrefix)) {
+        matches.push(entry);
+      }
+    }
+    // Prefer names which match the case of what was typed.
+    matches.sort((a, b) => {
+      let aExact = a.name.startsWith(prefix), bExact = b.name.startsWith(prefix);
+      if (aExact !== bExact) {
+        return aExact ? -1 : 1;
+      }
+      return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+    });
+    return {
+      list: matches.slice(0, MAX_COMPLETIONS).map(entry => ({
+        text: entry.name,
+        className: `manim-hint manim-hint-${entry.kind}`,
+        render: (element) => {
+          let name = document.createElement("span");
+          name.textContent = entry.name;
+          let detail = document.createElement("span");
+          detail.className = "manim-hint-detail";
+          detail.textContent = getDetail(entry);
+          element.appendChild(name);
+          element.appendChild(detail);
+        },
+      })),
+      from: { line: cursor.line, ch: cursor.ch - prefix.length },
+      to: cursor,
+    };
+  }
+
+  /* Finds the innermost call whose arguments contain pos. Returns
+   * { entry, argIndex, keyword, pos }, where argIndex is the index of the
+   * argument at pos, keyword is its keyword if it has one, and pos is the
+   * position of the opening parenthesis, or null if pos isn't in the
+   * arguments of a call to a known callable.
+   */
+  findCall(cm, pos) {
+    let depth = 0;
+    let commas = 0;
+    // The text of the argument at pos up to pos, built backwards.
+    let argument = "";
+    let firstLine = Math.max(0, pos.line - MAX_CALL_LINES);
+    for (let line = pos.line; line >= firstLine; line--) {
+      let tokens = cm.getLineTokens(line);
+      for (let t = tokens.length - 1; t >= 0; t--) {
+        let token = tokens[t];
+        if (line === pos.line && token.start >= pos.ch) {
+          continue;
+        }
+        let end = line === pos.line ? Math.min(token.end, pos.ch) : token.end;
+        let text = token.string.slice(0, end - token.start);
+        if (!isCodeToken(token)) {
+          if (depth === 0 && commas === 0) {
+            argument = text + argument;
+          }
+          continue;
+        }
+        for (let i = text.length - 1; i >= 0; i--) {
+          let c = text[i];
+          if (c === ")" || c === "]" || c === "}") {
+            depth++;
+          } else if (c === "[" || c === "{") {
+            depth--;
+          } else if (c === "(") {
+            if (depth === 0) {
+              let callee = cm.getLine(line).slice(0, token.start + i).match(CALLEE);
+              let entry = callee === null ? undefined : this.lookup(callee[1]);
+              if (entry === undefined || entry.params === undefined) {
+                return null;
+              }
+              let keyword = argument.match(/^\s*([A-Za-z_]\w*)\s*=(?!=)/);
+              return {
+                entry: entry,
+                argIndex: commas,
+                keyword: keyword === null ? null : keyword[1],
+                pos: { line: line, ch: token.start + i },
+              };
+            }
+            depth--;
+          } else if (c === "," && depth === 0) {
+            commas++;
+            continue;
+          }
+          if (depth < 0) {
+            // pos is inside a list or dict rather than a call.
+            return null;
+          }
+          if (depth === 0 && commas === 0) {
+            argument = c + argument;
+          }
+        }
+      }
+      if (depth === 0 && commas === 0) {
+        argument = "\n" + argument;
+      }
+    }
+    return null;
+  }
+
+  /* Returns the entry for the name at pos, if any. */
+  getEntryAt(cm, pos) {
+    let token = cm.getTokenAt(pos, true);
+    if (!isCodeToken(token) || !IDENTIFIER.test(token.string)) {
+      return undefined;
+    }
+    let word = cm.findWordAt(pos);
+    let name = cm.getRange(word.anchor, word.head);
+    let before = cm.getLine(pos.line).slice(0, word.anchor.ch);
+    let obj = before.match(/([A-Za-z_]\w*)\.$/);
+    return obj === null ? this.globals.get(name) : this.getScope(obj[1]).get(name);
+  }
+}
+
+/* A short description of an entry shown next to it in the completion list. */
+function getDetail(entry) {
+  if (entry.kind === "constant") {
+    return entry.value;
+  }
+  return entry.kind === "class" ? entry.category : entry.kind;
+}
+
+function getCallName(entry) {
+  if (entry.kind === "method") {
+    return entry.owner === "scene" ? `self.${entry.name}` : `mobject.${entry.name}`;
+  }
+  return entry.name;
+}
+
+/* Returns the index in entry.params of the parameter which receives the
+ * argument at argIndex, passed by keyword if keyword isn't null.
+ */
+function getParamIndex(entry, argIndex, keyword) {
+  let params = entry.params;
+  if (keyword !== null) {
+    let index = params.findIndex(param => param.name === keyword);
+    return index !== -1 ? index : params.findIndex(param => param.kind === "var_keyword");
+  }
+  let positional = 0;
+  for (let i = 0; i < params.length; i++) {
+    if (params[i].kind === "var_positional") {
+      return i;
+    } else if (params[i].kind === "positional") {
+      if (positional === argIndex) {
+        return i;
+      }
+      positional++;
+    }
+  }
+  return -1;
+}
+
+function createElement(tag, className, text = null) {
+  let element = document.createElement(tag);
+  element.className = className;
+  if (text !== null) {
+    element.textContent = text;
+  }
+  return element;
+}
+
+/* Returns an element showing the signature of entry with the parameter at
+ * paramIndex highlighted.
+ */
+function renderSignature(entry, paramIndex = -1) {
+  let signature = createElement("div", "manim-signature");
+  signature.appendChild(document.createTextNode(`${getCallName(entry)}(`));
+  entry.params.forEach((param, i) => {
+    if (i > 0) {
+      signature.appendChild(document.createTextNode(", "));
+    }
+    let className = i === paramIndex ? "manim-param current" : "manim-param";
+    signature.appendChild(createElement("span", className, param.text));
+  });
+  signature.appendChild(document.createTextNode(")"));
+  return signature;
+}
+
+function truncateDoc(doc) {
+  return doc.length <= MAX_DOC_LENGTH ? doc : doc.slice(0, MAX_DOC_LENGTH) + "...";
+}
+
+/* Returns an element describing entry for a hover tooltip. */
+export function renderEntry(entry) {
+  let element = createElement("div", "manim-entry");
+  if (entry.kind === "constant") {
+    element.appendChild(
+      createElement("div", "manim-signature", `${entry.name} = ${entry.value}`),
+    );
+  } else {
+    element.appendChild(renderSignature(entry));
+  }
+  if (entry.kind === "class" && entry.bases.length > 0) {
+    element.appendChild(
+      createElement("div", "manim-bases", `${entry.category}, a subclass of ${entry.bases.join(", ")}`),
+    );
+  }
+  if (entry.doc !== "") {
+    element.appendChild(createElement("div", "manim-doc", truncateDoc(entry.doc)));
+  }
+  return element;
+}
+
+/* Returns an element showing the signature of the call found by
+ * ManimCatalog.findCall.
+ */
+export function renderCall(call) {
+  let element = createElement("div", "manim-entry");
+  element.appendChild(
+    renderSignature(call.entry, getParamIndex(call.entry, call.argIndex, call.keyword)),
+  );
+  if (call.entry.doc !== "") {
+    let summary = call.entry.doc.split("\n\n")[0];
+    element.appendChild(createElement("div", "manim-doc", truncateDoc(summary)));
+  }
+  return element;
+}
+
+/* A box floating over the page next to a position in the editor. */
+class Tooltip {
+  constructor(className) {
+    this.element = createElement("div", `manim-tooltip ${className}`);
+    this.element.style.display = "none";
+    document.body.appendChild(this.element);
+  }
+
+  /* Shows content below (or, if above is true, above) the window coordinates
+   * coords, as returned by cm.charCoords(pos, "window").
+   */
+  show(content, coords, above = false) {
+    this.element.textContent = "";
+    this.element.appendChild(content);
+    this.element.style.display = "block";
+    this.element.style.left = `${coords.left}px`;
+    if (above) {
+      this.element.style.top = "";
+      this.element.style.bottom = `${window.innerHeight - coords.top + 2}px`;
+    } else {
+      this.element.style.bottom = "";
+      this.element.style.top = `${coords.bottom + 2}px`;
+    }
+  }
+
+  hide() {
+    this.element.style.display = "none";
+  }
+
+  destroy() {
+    this.element.remove();
+  }
+}
+
+export { ManimCatalog, Tooltip }
@@ -23,6 +23,13 @@ export const LOW_QUALITY_CAMERA_CONFIG = {
     "frame_rate": 15,
 }
 
+export const CAMERA_CONFIGS = {
+    "production": PRODUCTION_QUALITY_CAMERA_CONFIG,
+    "high": HIGH_QUALITY_CAMERA_CONFIG,
+    "medium": MEDIUM_QUALITY_CAMERA_CONFIG,
+    "low": LOW_QUALITY_CAMERA_CONFIG,
+}
+
 export const DEFAULT_PIXEL_HEIGHT = PRODUCTION_QUALITY_CAMERA_CONFIG["pixel_height"]
 export const DEFAULT_PIXEL_WIDTH = PRODUCTION_QUALITY_CAMERA_CONFIG["pixel_width"]
 export const DEFAULT_FRAME_RATE = 60
@@ -35,6 +42,43 @@ export const FRAME_WIDTH = FRAME_HEIGHT * DEFAULT_PIXEL_WIDTH / DEFAULT_PIXEL_HE
 export const FRAME_Y_RADIUS = FRAME_HEIGHT / 2
 export const FRAME_X_RADIUS = FRAME_WIDTH / 2
 
+// Scenes can be any of these shapes. Their frames are FRAME_HEIGHT tall and as
+// wide as the aspect ratio requires.
+export const ASPECT_RATIOS = {
+    "16:9": 16 / 9,
+    "4:3": 4 / 3,
+    "1:1": 1,
+    "9:16": 9 / 16,
+}
+export const DEFAULT_ASPECT_RATIO = "16:9"
+// The length of the shorter side of the player, and of exported frames, in
+// pixels.
+export const DEFAULT_SCENE_SIZE = 360
+// The player grows with the window up to this fraction of its height.
+export const MAX_PLAYER_HEIGHT_FRACTION = 0.6
+// How long to wait after the code stops changing before rendering it in live
+// mode and before looking for the Scenes in it, in milliseconds.
+export const LIVE_RENDER_DELAY = 1000
+export const SCENE_CHOICES_DELAY = 500
+// How long to wait after the last edit before saving the project locally, in
+// milliseconds, and how many projects are kept.
+export const AUTOSAVE_DELAY = 1000
+export const MAX_RECENT_PROJECTS = 20
+// Edits to the same thing within this many milliseconds of each other are
+// undone together, and how many edits can be undone.
+export const HISTORY_MERGE_DELAY = 1000
+export const MAX_HISTORY_LENGTH = 100
+// How many pixels of the timeline a second of the Scene takes up by default
+// and at the most and least zoom, and the narrowest an Animation's card can
+// be. Ticks on the timeline's ruler are at least TIMELINE_TICK_SPACING pixels
+// apart, at one of TIMELINE_TICK_STEPS seconds.
+export const TIMELINE_PIXELS_PER_SECOND = 145
+export const TIMELINE_MIN_PIXELS_PER_SECOND = 10
+export const TIMELINE_MAX_PIXELS_PER_SECOND = 2000
+export const TIMELINE_MIN_CARD_WIDTH = 40
+export const TIMELINE_TICK_SPACING = 60
+export const TIMELINE_TICK_STEPS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300]
+
 export const SMALL_BUFF = 0.1
 export const MED_SMALL_BUFF = 0.25
 export const MED_LARGE_BUFF = 0.5
@@ -47,6 +91,11 @@ export const DEFAULT_MOBJECT_TO_MOBJECT_BUFFER = MED_SMALL_BUFF
 // All in seconds
 export const DEFAULT_POINTWISE_FUNCTION_RUN_TIME = 3.0
 export const DEFAULT_WAIT_TIME = 1.0
+export const DEFAULT_RUN_TIME = 1.0
+
+// Transforms whose path arcs through a smaller angle (in radians) than this
+// move points in straight lines.
+export const STRAIGHT_PATH_THRESHOLD = 0.01
 
 
 export const ORIGIN = [0, 0, 0]
@@ -222,8 +271,12 @@ class AlignDataExample(WebScene):
 export const RELEASE_NOTES =
 `Implemented the entire Latex pipeline across MathJax, Manim and Two. The web
 Latex implementation circumvents Manim's svg renderer entirely in favor of the
-one in two.js. Also implemented a crude forwarding of transformations  (
-rotation and scale) from Manim.`;
+one in two.js. Transformations made in Manim (rotate, scale, flip, stretch,
+apply_matrix, set_width and set_height) are forwarded to the browser, and
+Mobjects are centered where Manim put them. Mobjects moved, restyled or
+transformed between Animations are shown as they were at each step.
+Animations played together, or grouped with AnimationGroup, Succession or
+LaggedStart, are shown as one entry of the timeline with a track for each.`;
 
 // Height of a latex a in Manim space.
 export const aHeightManim = 0.22565395;
@@ -0,0 +1,356 @@
+/*
+ * Animated GIF export. Frames come from an OfflineRenderer, are quantized to a
+ * palette of at most 256 colors each (median cut), and are LZW-compressed into
+ * a GIF89a file.
+ */
+import * as consts from './constants.js'
+import { OfflineRenderer, fillCanvasBackground } from './renderer.js'
+
+const MAX_COLORS = 256;
+const MAX_CODE = 4095;
+
+/* Returns the key of a color in a histogram of 5-bit-per-channel colors. */
+function getColorKey(r, g, b) {
+  return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+}
+
+function getChannel(key, channel) {
+  return (key >> (10 - 5 * channel)) & 31;
+}
+
+/* Returns the channel (0, 1, or 2) along which the colors in box vary the most
+ * along with the size of that range.
+ */
+function getWidestChannel(box) {
+  let widest = [0, -1];
+  for (let channel = 0; channel < 3; channel++) {
+    let min = 31, max = 0;
+    for (let key of box) {
+      let value = getChannel(key, channel);
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    }
+    if (max - min > widest[1]) {
+      widest = [channel, max - min];
+    }
+  }
+  return widest;
+}
+
+/* Builds a palette of at most maxColors colors for the RGBA pixels by median
+ * cut. Returns { palette, indices }, where palette is a list of [r, g, b]
+ * colors and indices maps the histogram key of each color in pixels to its
+ * index in palette.
+ */
+export function quantize(pixels, maxColors = MAX_COLORS) {
+  let histogram = new Uint32Array(1 << 15);
+  // The sums of the exact channel values of each color, so that flat colors
+  // come out of quantization unchanged.
+  let sums = new Float64Array(3 << 15);
+  for (let i = 0; i < pixels.length; i += 4) {
+    let key = getColorKey(pixels[i], pixels[i + 1], pixels[i + 2]);
+    histogram[key]++;
+    for (let channel = 0; channel < 3; channel++) {
+      sums[3 * key + channel] += pixels[i + channel];
+    }
+  }
+  let colors = [];
+  for (let key = 0; key < histogram.length; key++) {
+    if (histogram[key] > 0) {
+      colors.push(key);
+    }
+  }
+
+  let boxes = [colors];
+  while (boxes.length < maxColors) {
+    // Split the box with the widest range of colors at its median pixel.
+    let boxIndex = -1, splitChannel = 0, widestRange = 0;
+    boxes.forEach((box, i) => {
+      if (box.length < 2) {
+        return;
+      }
+      let [channel, range] = getWidestChannel(box);
+      if (range > widestRange) {
+        [boxIndex, splitChannel, widestRange] = [i, channel, range];
+      }
+    });
+    if (boxIndex === -1) {
+      break;
+    }
+    let box = boxes[boxIndex].sort(
+      (a, b) => getChannel(a, splitChannel) - getChannel(b, splitChannel),
+    );
+    let total = box.reduce((sum, key) => sum + histogram[key], 0);
+    let count = 0, median = 1;
+    for (; median < box.length - 1; median++) {
+      count += histogram[box[median - 1]];
+      if (count >= total / 2) {
+        break;
+      }
+    }
+    boxes.splice(boxIndex, 1, box.slice(0, median), box.slice(median));
+  }
+
+  let palette = [];
+  let indices = new Uint8Array(1 << 15);
+  boxes.forEach((box, i) => {
+    let sum = [0, 0, 0], count = 0;
+    for (let key of box) {
+      for (let channel = 0; channel < 3; channel++) {
+        sum[channel] += sums[3 * key + channel];
+      }
+      count += histogram[key];
+      indices[key] = i;
+    }
+    palette.push(sum.map(total => Math.round(total / count)));
+  });
+  if (palette.length === 0) {
+    palette.push([0, 0, 0]);
+  }
+  return { palette: palette, indices: indices };
+}
+
+/* A growable list of bytes. */
+class ByteWriter {
+  constructor() {
+    this.bytes = new Uint8Array(1 << 16);
+    this.length = 0;
+  }
+
+  writeByte(byte) {
+    if (this.length === this.bytes.length) {
+      let bytes = new Uint8Array(2 * this.bytes.length);
+      bytes.set(this.bytes);
+      this.bytes = bytes;
+    }
+    this.bytes[this.length++] = byte;
+  }
+
+  writeBytes(bytes) {
+    for (let byte of bytes) {
+      this.writeByte(byte);
+    }
+  }
+
+  writeShort(value) {
+    this.writeByte(value & 0xff);
+    this.writeByte((value >> 8) & 0xff);
+  }
+
+  writeString(string) {
+    for (let i = 0; i < string.length; i++) {
+      this.writeByte(string.charCodeAt(i));
+    }
+  }
+
+  getBytes() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/* Writes the LZW-compressed palette indices to writer as GIF image data. */
+function writeImageData(writer, indices, minCodeSize) {
+  let clearCode = 1 << minCodeSize;
+  let endCode = clearCode + 1;
+  let codeSize, nextCode, table;
+  let reset = () => {
+    codeSize = minCodeSize + 1;
+    nextCode = endCode + 1;
+    table = new Map();
+  };
+
+  // Codes are packed least significant bit first into sub-blocks of at most
+  // 255 bytes.
+  let block = [];
+  let buffer = 0, bufferBits = 0;
+  let flushBlock = () => {
+    writer.writeByte(block.length);
+    writer.writeBytes(block);
+    block = [];
+  };
+  let writeCode = code => {
+    buffer |= code << bufferBits;
+    bufferBits += codeSize;
+    while (bufferBits >= 8) {
+      block.push(buffer & 0xff);
+      buffer >>= 8;
+      bufferBits -= 8;
+      if (block.length === 255) {
+        flushBlock();
+      }
+    }
+  };
+
+  writer.writeByte(minCodeSize);
+  reset();
+  writeCode(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    let index = indices[i];
+    let key = (prefix << 8) | index;
+    let code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    writeCode(prefix);
+    if (nextCode <= MAX_CODE) {
+      if (nextCode === 1 << codeSize) {
+        codeSize++;
+      }
+      table.set(key, nextCode++);
+    } else {
+      writeCode(clearCode);
+      reset();
+    }
+    prefix = index;
+  }
+  writeCode(prefix);
+  writeCode(endCode);
+  if (bufferBits > 0) {
+    block.push(buffer & 0xff);
+  }
+  if (block.length > 0) {
+    flushBlock();
+  }
+  writer.writeByte(0);
+}
+
+class GifEncoder {
+  /* If loop is true the GIF repeats forever; otherwise it plays once. */
+  constructor(width, height, loop = true) {
+    this.width = width;
+    this.height = height;
+    this.writer = new ByteWriter();
+    this.writer.writeString("GIF89a");
+    this.writer.writeShort(width);
+    this.writer.writeShort(height);
+    // No global color table; each frame has its own palette.
+    this.writer.writeBytes([0, 0, 0]);
+    if (loop) {
+      this.writer.writeBytes([0x21, 0xff, 0x0b]);
+      this.writer.writeString("NETSCAPE2.0");
+      this.writer.writeBytes([0x03, 0x01]);
+      this.writer.writeShort(0); // repeat forever
+      this.writer.writeByte(0);
+    }
+  }
+
+  /* Adds a frame of RGBA pixels (e.g. from ImageData) which is shown for
+   * delay hundredths of a second.
+   */
+  addFrame(pixels, delay) {
+    let writer = this.writer;
+    let { palette, indices } = quantize(pixels);
+    let tableBits = Math.max(1, Math.ceil(Math.log2(palette.length)));
+
+    // Graphic control extension: leave the frame in place, no transparency.
+    writer.writeBytes([0x21, 0xf9, 0x04, 0x04]);
+    writer.writeShort(delay);
+    writer.writeBytes([0, 0]);
+
+    // Image descriptor followed by the local color table.
+    writer.writeByte(0x2c);
+    writer.writeShort(0);
+    writer.writeShort(0);
+    writer.writeShort(this.width);
+    writer.writeShort(this.height);
+    writer.writeByte(0x80 | (tableBits - 1));
+    for (let i = 0; i < 1 << tableBits; i++) {
+      writer.writeBytes(palette[i] || [0, 0, 0]);
+    }
+
+    let frameIndices = new Uint8Array(this.width * this.height);
+    for (let i = 0; i < frameIndices.length; i++) {
+      let p = 4 * i;
+      frameIndices[i] = indices[getColorKey(pixels[p], pixels[p + 1], pixels[p + 2])];
+    }
+    writeImageData(writer, frameIndices, Math.max(2, tableBits));
+  }
+
+  /* Returns the bytes of the finished GIF. */
+  finish() {
+    this.writer.writeByte(0x3b);
+    return this.writer.getBytes();
+  }
+}
+
+class GifRenderer {
+  /* options are of the form
+   * {
+   *   fps:        frames per second,
+   *   scale:      size relative to the default size of the player,
+   *   loop:       whether the GIF repeats,
+   *   startIndex: the first Animation to include,
+   *   endIndex:   one past the last Animation to include,
+   * }
+   * onProgress is called with the index of the Animation being rendered and
+   * the alpha of the current frame.
+   */
+  constructor(sceneData, options = {}, onProgress = null) {
+    this.fps = options.fps || 15;
+    this.loop = options.loop !== undefined ? options.loop : true;
+    this.startIndex = options.startIndex || 0;
+    this.endIndex = options.endIndex !== undefined
+      ? options.endIndex : sceneData.animations.length;
+    let scale = options.scale || 1;
+    this.renderer = new OfflineRenderer(sceneData, {
+      frameRate: this.fps,
+      size: Math.round(consts.DEFAULT_SCENE_SIZE * scale),
+    });
+    this.onProgress = onProgress;
+    this.cancelled = false;
+  }
+
+  /* Returns a Promise resolving to the bytes of the GIF, or to null if
+   * rendering was cancelled. Frames are rendered one per task so that the page
+   * stays responsive.
+   */
+  render() {
+    let canvas = this.renderer.scene.renderer.domElement;
+    let ctx = canvas.getContext("2d");
+    let encoder = new GifEncoder(canvas.width, canvas.height, this.loop);
+    let frames = this.renderer.frames(this.startIndex, this.endIndex);
+    // GIF delays are in hundredths of a second, so carry the rounding error
+    // over to the next frame to keep the overall timing accurate.
+    let delayError = 0;
+
+    return new Promise((resolve, reject) => {
+      let renderNextFrame = () => {
+        if (this.cancelled) {
+          resolve(null);
+          return;
+        }
+        try {
+          let next = frames.next();
+          if (next.done) {
+            resolve(encoder.finish());
+            return;
+          }
+          fillCanvasBackground(canvas);
+          let exactDelay = 100 / this.fps + delayError;
+          let delay = Math.max(1, Math.round(exactDelay));
+          delayError = exactDelay - delay;
+          encoder.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height).data, delay);
+          if (this.onProgress !== null) {
+            this.onProgress(next.value.animationIndex, next.value.alpha);
+          }
+        } catch (error) {
+          reject(error);
+          return;
+        }
+        setTimeout(renderNextFrame, 0);
+      };
+      renderNextFrame();
+    });
+  }
+
+  /* The Promise returned by render() resolves to null once the frame being
+   * rendered is finished.
+   */
+  cancel() {
+    this.cancelled = true;
+  }
+}
+
+export { GifEncoder, GifRenderer }
@@ -0,0 +1,85 @@
+/*
+ * Undo and redo for edits made in the lab. Each edit is recorded as a command
+ * of the form
+ * {
+ *   undo:     a function reverting the edit,
+ *   redo:     a function making the edit again,
+ *   mergeKey: optionally, a string identifying what the edit changes,
+ * }
+ * Commands with the same mergeKey recorded within consts.HISTORY_MERGE_DELAY
+ * of each other are merged into one step, so that e.g. dragging a slider
+ * doesn't take an undo per value it passed through.
+ */
+import * as consts from './constants.js'
+
+class History {
+  /* onChange is called whenever whether there's anything to undo or redo
+   * may have changed.
+   */
+  constructor(onChange = () => {}) {
+    this.onChange = onChange;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /* Records a command for an edit which has already been made. */
+  push(command) {
+    let now = Date.now();
+    let last = this.undoStack[this.undoStack.length - 1];
+    this.redoStack = [];
+    if (
+      command.mergeKey !== undefined &&
+      last !== undefined &&
+      last.mergeKey === command.mergeKey &&
+      now - last.time < consts.HISTORY_MERGE_DELAY
+    ) {
+      // Keep the first command's undo so the merged step reverts all of it.
+      last.redo = command.redo;
+      last.time = now;
+    } else {
+      this.undoStack.push(Object.assign({}, command, { time: now }));
+      if (this.undoStack.length > consts.MAX_HISTORY_LENGTH) {
+        this.undoStack.shift();
+      }
+    }
+    this.onChange();
+  }
+
+  undo() {
+    let command = this.undoStack.pop();
+    if (command === undefined) {
+      return;
+    }
+    command.undo();
+    // Edits made right after an undo shouldn't be merged into the command.
+    command.time = -Infinity;
+    this.redoStack.push(command);
+    this.onChange();
+  }
+
+  redo() {
+    let command = this.redoStack.pop();
+    if (command === undefined) {
+      return;
+    }
+    command.redo();
+    this.undoStack.push(command);
+    this.onChange();
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.onChange();
+  }
+}
+
+export { History }
@@ -0,0 +1,530 @@
+/*
+ * Functions for turning the data which defines a MobjectLab Scene (Mobject
+ * data, Animation data, and diffs) into Mobjects and Animations. These are
+ * shared by the live player in MobjectLabContainer and the offline renderer so
+ * that both interpret the data identically.
+ */
+import * as _ from "lodash";
+import * as consts from "./constants.js";
+import * as Manim from "./manim.js";
+import * as utils from "./utils.js";
+
+/* Builds the Mobject described by mobjectData and stores it in
+ * mobjectData.mobject. The submobjects of Groups are looked up by name in
+ * mobjects. Other Mobjects are transformed (see Group.applyTransformations)
+ * and then centered on their position, which is where manim's get_center()
+ * put them.
+ */
+export function setMobjectField(mobjectData, mobjects, scene) {
+  if (mobjectData.className === "TexSymbol") {
+    // eslint-disable-next-line
+    console.error("TexSymbols should only be generated from a TexMobject");
+    return;
+  } else if (mobjectData.className === "SingleStringTexMobject") {
+    // eslint-disable-next-line
+    console.error("SingleStringTexMobjects should only be generated from a TexMobject");
+    return;
+  } else if (mobjectData.className === "TexMobject" || mobjectData.className === "TextMobject") {
+    let s = new Manim[mobjectData.className](
+      mobjectData.params.tex_strings,
+      scene,
+      mobjectData.params.tex_to_color_map !== undefined
+        ? mobjectData.params.tex_to_color_map : {},
+    );
+    s.applyTransformations(mobjectData.transformations);
+    s.moveTo(mobjectData.position);
+    mobjectData.mobject = s;
+  } else if (!utils.isGroupData(mobjectData)) {
+    let s = new Manim[mobjectData.className](mobjectData.params);
+    s.applyTransformations(mobjectData.transformations);
+    s.moveTo(mobjectData.position);
+    s.applyStyle(mobjectData.style);
+    mobjectData.mobject = s;
+    return s;
+  } else {
+    let mobs = mobjectData.submobjects.map(mobjectName => {
+      let data = mobjects[mobjectName];
+      // Set submobjects before setting the Group
+      setMobjectField(data, mobjects, scene);
+      return data.mobject;
+    });
+    let g = new Manim["Group"](mobs);
+    mobjectData.mobject = g;
+  }
+}
+
+/* Builds every Mobject in mobjects, e.g. after they've been loaded. */
+export function setMobjectFields(mobjects, scene) {
+  // Initialize TexMobjects
+  for (let mobjectName of Object.keys(mobjects)) {
+    let data = mobjects[mobjectName];
+    if (data.className === "TexMobject" || data.className === "TextMobject") {
+      setMobjectField(data, mobjects, scene);
+    }
+  }
+
+  // Initialize Mobjects
+  // Some Rectangles which in Manim were part of TexMobjects are initialized
+  // here even though they aren't part of Mobjects here.
+  let groupNames = [];
+  for (let mobjectName of Object.keys(mobjects)) {
+    let data = mobjects[mobjectName];
+    if (!utils.isGroupData(data) && !utils.isTexData(data)) {
+      setMobjectField(data, mobjects, scene);
+    } else if (utils.isGroupData(data)) {
+      groupNames.push(mobjectName);
+    }
+  }
+
+  // Initialize Groups
+  for (let groupName of groupNames) {
+    setMobjectField(mobjects[groupName], mobjects, scene);
+  }
+}
+
+/* Builds the Animation described by animationData, whose Mobject args (see
+ * Animation.getSchema) name entries of mobjects. Its optional lagRatio and
+ * rateFunc (a key of utils.RATE_FUNCTIONS) replace the Animation's defaults.
+ */
+export function buildAnimation(animationData, mobjects) {
+  if (isAnimationGroup(animationData)) {
+    let lagRatio = typeof animationData.lagRatio === "number"
+      ? animationData.lagRatio : null;
+    let group = new Manim[animationData.className](
+      animationData.animations.map(data => buildAnimation(data, mobjects)),
+      lagRatio,
+    );
+    if (typeof animationData.durationSeconds === "number") {
+      group.runtime = animationData.durationSeconds;
+    }
+    return group;
+  }
+  let schema = Manim[animationData.className].getSchema();
+  let args = [];
+  for (let [i, arg] of animationData.args.entries()) {
+    if (schema.args[i] !== undefined && schema.args[i].type !== "mobject") {
+      args.push(arg);
+      continue;
+    }
+    let mobjectName = arg;
+    let data = mobjects[mobjectName];
+    // eslint-disable-next-line
+    console.assert(data !== undefined, { name: mobjectName });
+    // eslint-disable-next-line
+    console.assert(data.mobject !== null, {
+      name: mobjectName,
+      mobjects: mobjects,
+    });
+    args.push(data.mobject);
+  }
+  let animation;
+  if (animationData.className === "ApplyPointwiseFunction") {
+    animation = new Manim[animationData.className](animationData.func, ...args);
+  } else {
+    animation = new Manim[animationData.className](...args);
+  }
+  // Run times from Manim (and Wait durations) take precedence over the
+  // Animation's own default.
+  if (typeof animationData.durationSeconds === "number") {
+    animation.runtime = animationData.durationSeconds;
+  }
+  if (typeof animationData.lagRatio === "number") {
+    animation.lagRatio = animationData.lagRatio;
+  }
+  if (animationData.rateFunc in utils.RATE_FUNCTIONS) {
+    animation.rateFunc = utils.RATE_FUNCTIONS[animationData.rateFunc];
+  }
+  if (typeof animationData.pathArc === "number") {
+    animation.pathArc = animationData.pathArc;
+  }
+  return animation;
+}
+
+/* Returns whether every Mobject argument of the Animation described by
+ * animationData, and of the Animations in it if it's a group, names one of
+ * mobjects. Animations can't be built until they do, e.g. after their class
+ * was changed (see changeAnimationClass).
+ */
+export function argsAreResolved(animationData, mobjects) {
+  if (isAnimationGroup(animationData)) {
+    return animationData.animations.every(
+      data => argsAreResolved(data, mobjects),
+    );
+  }
+  let schema = Manim[animationData.className].getSchema();
+  return animationData.args.every((arg, i) => {
+    if (schema.args[i] !== undefined && schema.args[i].type !== "mobject") {
+      return true;
+    }
+    return typeof arg === "string" && _.has(mobjects, arg);
+  });
+}
+
+/* Returns whether animationData describes a group of Animations, whose data
+ * lists them in its animations field.
+ */
+export function isAnimationGroup(animationData) {
+  let Class = Manim[animationData.className];
+  return Class === Manim.AnimationGroup ||
+    Class.prototype instanceof Manim.AnimationGroup;
+}
+
+/* Returns the diff of the Animation described by animationData, whose
+ * Mobjects are described by mobjects.
+ */
+export function getAnimationDiff(animationData, mobjects) {
+  if (isAnimationGroup(animationData)) {
+    return Manim[animationData.className].getDiff(
+      animationData.animations.map(data => getAnimationDiff(data, mobjects)),
+    );
+  }
+  return Manim[animationData.className].getDiff(
+    ...animationData.args,
+    mobjects,
+  );
+}
+
+/* Returns the diffs of the Animations described by animations, each taken
+ * against the Mobject data as it is just before that Animation plays, since
+ * some diffs record how a Mobject looked beforehand. mobjects is the Mobject
+ * data at the start of the Scene and isn't changed.
+ */
+export function getAnimationDiffs(animations, sceneDiffs, mobjects) {
+  mobjects = cloneMobjectData(mobjects);
+  let applyToData = diff => {
+    for (let [mobjectName, command] of (diff || {})["modify"] || []) {
+      // Animations whose Mobjects haven't been chosen yet modify null.
+      if (mobjectName in mobjects) {
+        utils.applyModification(mobjects, mobjectName, command);
+      }
+    }
+  };
+  return animations.map((animationData, i) => {
+    applyToData(sceneDiffs[i]);
+    let diff = getAnimationDiff(animationData, mobjects);
+    applyToData(diff);
+    return diff;
+  });
+}
+
+/* Returns the names of the Animation classes exported from manim.js. */
+export function getAnimationClassNames() {
+  return Object.keys(Manim).filter(
+    name => Manim[name].prototype instanceof Manim.Animation,
+  );
+}
+
+/* Returns the data of an Animation of class className which takes the place
+ * of the one described by animationData, keeping its timing. Arguments are
+ * kept where the new class takes the same kind of argument in the same
+ * place, and otherwise start at their defaults, with Mobjects left unset.
+ */
+export function changeAnimationClass(animationData, className) {
+  let oldArgs = animationData.args;
+  let oldSchema = Manim[animationData.className].getSchema();
+  let schema = Manim[className].getSchema();
+  let args = schema.args.map((arg, i) => {
+    let oldArg = oldSchema.args[i];
+    if (
+      oldArg !== undefined &&
+      oldArg.type === arg.type &&
+      oldArg.inScene === arg.inScene
+    ) {
+      return oldArgs[i];
+    }
+    return arg.type === "mobject" ? null : arg.default;
+  });
+  let data = Object.assign(_.cloneDeep(_.omit(animationData, "animation")), {
+    className: className,
+    description: schema.description,
+    args: args,
+    argDescriptions: schema.args.map(arg => arg.name),
+    animation: null,
+  });
+  // Path arcs set the way a Transform turns, which the new class decides,
+  // e.g. ClockwiseTransform.
+  delete data.pathArc;
+  if (isAnimationGroup(data)) {
+    data.animations = data.animations || [];
+  } else {
+    delete data.animations;
+  }
+  return data;
+}
+
+/* Returns how many seconds the Animation described by animationData lasts. */
+export function getDuration(animationData) {
+  if (typeof animationData.durationSeconds === "number") {
+    return animationData.durationSeconds;
+  } else if (isAnimationGroup(animationData)) {
+    return Math.max(0, ...getUnscaledTimings(animationData).map(([, end]) => end));
+  }
+  return animationData.className === "Wait"
+    ? consts.DEFAULT_WAIT_TIME : consts.DEFAULT_RUN_TIME;
+}
+
+function getUnscaledTimings(groupData) {
+  let lagRatio = typeof groupData.lagRatio === "number"
+    ? groupData.lagRatio : Manim[groupData.className].getDefaultLagRatio();
+  return Manim.AnimationGroup.getTimings(
+    groupData.animations.map(getDuration),
+    lagRatio,
+  );
+}
+
+/* Returns when each of the Animations in the group described by groupData
+ * plays, as [start, end] in seconds from the start of the group.
+ */
+export function getTimings(groupData) {
+  let timings = getUnscaledTimings(groupData);
+  let maxEndTime = Math.max(0, ...timings.map(([, end]) => end));
+  let scale = maxEndTime > 0 ? getDuration(groupData) / maxEndTime : 0;
+  return timings.map(([start, end]) => [start * scale, end * scale]);
+}
+
+/* Rebuilds the Mobject described by mobjectData after its data has changed.
+ * If it's in the Scene, the new Mobject takes the old one's place in its
+ * parent so that it keeps its Group and is drawn in the same order.
+ */
+export function rebuildMobjectInPlace(mobjectData, mobjects, scene) {
+  let oldMobject = mobjectData.mobject;
+  if (oldMobject === null || !scene.contains(oldMobject)) {
+    setMobjectField(mobjectData, mobjects, scene);
+    return;
+  }
+  let parent = oldMobject.parent;
+  let index = parent.children.indexOf(oldMobject);
+  parent.remove(oldMobject);
+  setMobjectField(mobjectData, mobjects, scene);
+  parent.children.splice(index, 0, mobjectData.mobject);
+}
+
+/*  Updates the mobjects in scene according to the diff. Diffs are of the form:
+ *  {
+ *    'add':    [mobject11, ...],
+ *    'remove': [mobject21, ...],
+ *    'modify': [[mobject31, forwardCommand, backwardCommand], ...],
+ *  }
+ *  See utils.MODIFICATION_FIELDS for the commands. Mobjects which a command
+ *  changes are rebuilt in place, keeping their z-order.
+ */
+export function applyDiff(scene, mobjects, diff, reverse = false) {
+  if (_.isEmpty(diff)) {
+    return;
+  }
+  let diffCopy = _.cloneDeep(diff);
+  diffCopy["add"] = diff["add"] || [];
+  diffCopy["remove"] = diff["remove"] || [];
+  diffCopy["modify"] = diff["modify"] || [];
+  if (reverse) {
+    diffCopy = utils.getReversedDiff(diff);
+  }
+  for (let mobjectName of diffCopy["add"]) {
+    let postponeUntilModify = utils
+      .getMobjectsAddedToParent(diffCopy)
+      .includes(mobjectName);
+    if (!postponeUntilModify) {
+      let mobjectData = mobjects[mobjectName];
+      setMobjectField(mobjectData, mobjects, scene);
+      scene.add(mobjectData.mobject);
+    }
+  }
+  for (let mobjectName of diffCopy["remove"]) {
+    let postponeUntilModify = utils
+      .getMobjectsRemovedFromParent(diffCopy)
+      .includes(mobjectName);
+    if (!postponeUntilModify) {
+      let mobjectData = mobjects[mobjectName];
+      scene.remove(mobjectData.mobject);
+      setMobjectField(mobjectData, mobjects, scene);
+    }
+  }
+  for (let [mobjectName, command] of diffCopy["modify"]) {
+    let mobjectData = mobjects[mobjectName];
+    if (command.type === "add" || command.type === "remove") {
+      // eslint-disable-next-line
+      console.assert(
+        mobjectData.mobject && scene.contains(mobjectData.mobject),
+        `attempt to modify ${mobjectName} when it isn't in the scene`,
+      );
+    }
+    utils.applyModification(mobjects, mobjectName, command);
+    // Rebuild whatever the command changed. Other commands can be applied to
+    // Mobjects outside the Scene, e.g. when a Mobject is removed by the
+    // reverse of a diff which added and moved it.
+    switch (command.type) {
+      case "add":
+      case "reorder":
+        rebuildMobjectInPlace(mobjectData, mobjects, scene);
+        break;
+      case "remove":
+        rebuildMobjectInPlace(mobjectData, mobjects, scene);
+        // Detach the removed Mobject from the Group's old Mobject, keeping
+        // it in the Scene if the diff added it there on its own.
+        rebuildMobjectInPlace(mobjects[command.submobject], mobjects, scene);
+        break;
+      case "reparent":
+        rebuildMobjectInPlace(mobjects[command.from], mobjects, scene);
+        rebuildMobjectInPlace(mobjects[command.to], mobjects, scene);
+        break;
+      default:
+        rebuildMobjectInPlace(mobjectData, mobjects, scene);
+    }
+  }
+  scene.update();
+}
+
+export function getNamesInHeirarchy(mobjectName, mobjects) {
+  if (mobjects[mobjectName] === undefined) {
+    return [];
+  }
+  let ret = [mobjectName];
+  let data = mobjects[mobjectName];
+  if ("submobjects" in data) {
+    for (let submobName of data.submobjects) {
+      ret = _.concat(ret, getNamesInHeirarchy(submobName, mobjects));
+    }
+  }
+  return ret;
+}
+
+export function getNamesInScene(scene, mobjects) {
+  let ret = [];
+  for (let mobjectName of scene) {
+    ret = ret.concat(getNamesInHeirarchy(mobjectName, mobjects));
+  }
+  return ret;
+}
+
+/* Returns whether diff can be applied to scene, which is a list of the names of
+ * the top-level Mobjects in the Scene.
+ */
+export function diffIsValidForScene(diff, scene, mobjects) {
+  let namesInScene = getNamesInScene(scene, mobjects);
+  // Mobjects which the diff removes from their Group can be added on their
+  // own.
+  let namesLeavingGroups = _.flatMap(
+    utils.getMobjectsRemovedFromParent({ modify: diff["modify"] || [] }),
+    name => getNamesInHeirarchy(name, mobjects),
+  );
+  let namesStayingInScene = _.difference(namesInScene, namesLeavingGroups);
+  for (let mobjectName of diff["add"] || []) {
+    // Animations whose Mobjects haven't been chosen yet add null.
+    if (!(mobjectName in mobjects)) {
+      // eslint-disable-next-line
+      console.error(`can't add unknown Mobject ${mobjectName}`);
+      return false;
+    }
+    // A Mobject can be added if none of the Mobjects in its heirarchy are
+    // in the scene.
+    let namesInHeirarchy = getNamesInHeirarchy(mobjectName, mobjects);
+    for (let submobName of namesInHeirarchy) {
+      if (namesStayingInScene.includes(submobName)) {
+        // eslint-disable-next-line
+        console.error(`can't add ${submobName}`);
+        return false;
+      }
+    }
+  }
+  // A Mobject can be removed if it appears anywhere in the scene.
+  for (let submobName of diff["remove"] || []) {
+    if (!namesInScene.includes(submobName)) {
+      // eslint-disable-next-line
+      console.error(`can't remove ${submobName}`);
+      return false;
+    }
+  }
+  // A Mobject can be modified if it appears anywhere in the scene once the
+  // Mobjects added by the diff are.
+  let namesAfterAdding = _.concat(
+    namesInScene,
+    ...(diff["add"] || []).map(name => getNamesInHeirarchy(name, mobjects)),
+  );
+  for (let [submobName, command] of diff["modify"] || []) {
+    if (!namesAfterAdding.includes(submobName)) {
+      // eslint-disable-next-line
+      console.error(`can't modify ${submobName}`);
+      return false;
+    }
+    // Transforms whose target hasn't been chosen yet have no shape.
+    if (command.type === "become" && !_.isObject(command.shape)) {
+      // eslint-disable-next-line
+      console.error(`can't give ${submobName} an unknown shape`);
+      return false;
+    }
+  }
+  return true;
+}
+
+/* Returns the list of top-level Mobject names after applying diff to scene. */
+export function diffPriorScene(scene, diff) {
+  diff = utils.getFullDiff(diff);
+  scene = _.concat(
+    scene,
+    _.difference(diff["add"], utils.getMobjectsAddedToParent(diff)),
+  );
+  scene = _.difference(
+    scene,
+    _.difference(diff["remove"], utils.getMobjectsRemovedFromParent(diff)),
+  );
+  return scene;
+}
+
+/* Returns, for each Animation, whether its scene diff and animation diff can
+ * be applied when the Scene is played from the start, in the form
+ * [{ sceneIsValid, animationIsValid }, ...]. mobjects is the Mobject data at
+ * the start of the Scene and isn't changed. Diffs after an invalid one are
+ * checked as if it had been applied, so that every invalid one is found.
+ */
+export function validateDiffs(mobjects, sceneDiffs, animationDiffs) {
+  mobjects = cloneMobjectData(mobjects);
+  let scene = [];
+  let applyToData = diff => {
+    for (let [mobjectName, command] of diff["modify"] || []) {
+      // Animations whose Mobjects haven't been chosen yet modify null.
+      if (mobjectName in mobjects) {
+        utils.applyModification(mobjects, mobjectName, command);
+      }
+    }
+    scene = diffPriorScene(scene, diff);
+  };
+  return sceneDiffs.map((sceneDiff, i) => {
+    let animationDiff = animationDiffs[i] || {};
+    sceneDiff = sceneDiff || {};
+    let sceneIsValid = diffIsValidForScene(sceneDiff, scene, mobjects);
+    applyToData(sceneDiff);
+    let animationIsValid = diffIsValidForScene(animationDiff, scene, mobjects);
+    applyToData(animationDiff);
+    return {
+      sceneIsValid: sceneIsValid,
+      animationIsValid: animationIsValid,
+    };
+  });
+}
+
+/* Returns a deep copy of the Mobject data without the built Mobjects, which
+ * are specific to the Scene they were added to.
+ */
+export function cloneMobjectData(mobjects) {
+  let ret = {};
+  for (let mobjectName of Object.keys(mobjects)) {
+    ret[mobjectName] = _.cloneDeep(_.omit(mobjects[mobjectName], "mobject"));
+    ret[mobjectName].mobject = null;
+  }
+  return ret;
+}
+
+/* Returns whether two lists of Animation data play the same kinds of
+ * Animations on the same Mobjects in the same order, regardless of their
+ * other settings.
+ */
+export function animationsHaveSameStructure(animations1, animations2) {
+  return animations1.length === animations2.length && animations1.every(
+    (animation, i) => animation.className === animations2[i].className &&
+      _.isEqual(animation.args, animations2[i].args) &&
+      animationsHaveSameStructure(
+        animation.animations || [],
+        animations2[i].animations || [],
+      ),
+  );
+}
@@ -5,12 +5,18 @@ import chroma from 'chroma-js'
 import {
   Animation,
   Wait,
+  Transform,
+  ClockwiseTransform,
+  CounterclockwiseTransform,
   ReplacementTransform,
   ShowCreation,
   // ApplyPointwiseFunction,
   Write,
   FadeOut,
   FadeIn,
+  AnimationGroup,
+  Succession,
+  LaggedStart,
 } from './animation.js';
 import {Scene} from './scene.js';
 import * as _ from 'lodash'
@@ -24,6 +30,17 @@ const DEFAULT_STYLE = {
   strokeWidth: 4,
 };
 
+// Transformations which only change where a Mobject is, which is serialized
+// separately as its position.
+const POSITIONING_TRANSFORMATIONS = [
+  'move_to',
+  'next_to',
+  'to_edge',
+  'to_corner',
+  'align_to',
+  'center',
+];
+
 /* TODO: error check python access */
 class Group extends Two.Group {
   constructor(submobjects = [], fillTopLevel = false) {
@@ -66,13 +83,66 @@ class Group extends Two.Group {
   }
 
   moveTo(newCenter) {
-    let oldCenter = this.getPointCenter();
+    let oldCenter = this.getCenter();
     this.translateMobject([
       newCenter[0] - oldCenter[0],
       newCenter[1] - oldCenter[1],
     ]);
   }
 
+  /* Returns the center of the bounding box of the Mobject and its
+   * submobjects, as manimlib's get_center does.
+   */
+  getCenter() {
+    const dimensions = this.getDimensions();
+    return dimensions === null ? [0, 0] : dimensions.center;
+  }
+
+  /* Applies func, which maps [x, y] to [x, y], to the points of the Mobject
+   * and all of its submobjects.
+   */
+  applyFunctionToFamily(func) {
+    for (let mob of this.getMobjectHeirarchy()) {
+      mob.applyFunction(func);
+    }
+    return this;
+  }
+
+  /* Applies the linear map given by a 2x2 or 3x3 matrix about aboutPoint,
+   * which defaults to the center. The z coordinate of points is taken to be
+   * 0.
+   */
+  applyMatrix(matrix, aboutPoint = null) {
+    let m = math.matrix(matrix).toArray();
+    let [cx, cy] = aboutPoint === null ? this.getCenter() : aboutPoint;
+    return this.applyFunctionToFamily(([x, y]) => [
+      cx + m[0][0] * (x - cx) + m[0][1] * (y - cy),
+      cy + m[1][0] * (x - cx) + m[1][1] * (y - cy),
+    ]);
+  }
+
+  /* Scales dimension dim (0 for x, 1 for y) by factor about the center. */
+  stretchMobject(factor, dim) {
+    let matrix = [[1, 0], [0, 1]];
+    matrix[dim][dim] = factor;
+    return this.applyMatrix(matrix);
+  }
+
+  /* Scales the Mobject about its center so that its size along dimension
+   * dim is length, only along that dimension if stretch is true.
+   */
+  rescaleToFit(length, dim, stretch = false) {
+    const dimensions = this.getDimensions();
+    let oldLength = dimensions === null ? 0 : [dimensions.width, dimensions.height][dim];
+    if (oldLength === 0) {
+      return this;
+    }
+    if (stretch) {
+      return this.stretchMobject(length / oldLength, dim);
+    }
+    return this.scaleMobject(length / oldLength);
+  }
+
   alignData(other) {
     this.nullPointAlign(other);
     this.alignSubmobjects(other);
@@ -119,7 +189,6 @@ class Group extends Two.Group {
   }
 
   addSubmobjects(n) {
-    let np = window.pyodide.pyimport("numpy");
     let currentNumSubmobjects = this.submobjects().length;
     if (currentNumSubmobjects === 0) {
       // TODO: this is probably buggy
@@ -130,7 +199,7 @@ class Group extends Two.Group {
       return;
     }
     let target = currentNumSubmobjects + n;
-    let repeatIndices = np.arange(target).map(
+    let repeatIndices = utils.arange(target).map(
       x => Math.floor(x * currentNumSubmobjects / target)
     );
     let splitFactors = [];
@@ -171,7 +240,7 @@ class Group extends Two.Group {
       // If there are no points, add one to
       // wherever the "center" is
       if (mob.points().length === 0) {
-        let center = this.getPixelCenter();
+        let center = this.getPointCenter();
         mob.points().push(new Two.Anchor(
           center[0], center[1],
           center[0], center[1],
@@ -249,15 +318,53 @@ class Group extends Two.Group {
     }
   }
 
-  applyTransformations(transformations) {
+  /* Applies the transformations which were made to a Mobject in manim, in
+   * order. Each is a list of the name of the manimlib Mobject method and its
+   * positional arguments, which manimlib follows with its keyword arguments
+   * (e.g. about_point):
+   *   ["rotate", angle, axis]
+   *   ["scale", factor]
+   *   ["flip", axis]
+   *   ["stretch", factor, dim]
+   *   ["apply_matrix", matrix, {about_point, about_edge}]
+   *   ["set_width", width, stretch], ["set_height", height, stretch]
+   *   ["stretch_to_fit_width", width], ["stretch_to_fit_height", height]
+   *   ["shift", vector]
+   * A serializer may also send a single ["apply_matrix", matrix] with the
+   * combined linear part of everything done to the Mobject.
+   *
+   * Only the shape matters here, since the Mobject is moved to its serialized
+   * position afterwards (see lab.setMobjectField). Everything but apply_matrix,
+   * which is done about the point manim used so that it matches, is therefore
+   * done about the center, and transformations which only move the Mobject
+   * (e.g. next_to) are skipped.
+   */
+  applyTransformations(transformations = []) {
     for (let i = 0; i < transformations.length; i++) {
       let command = transformations[i][0];
       let args = transformations[i].slice(1);
       if (command === 'rotate') {
-        let rotationMatrix = utils.getRotationMatrix(...args);
-        this.transformWithMatrix(rotationMatrix);
+        let [angle, axis = consts.OUT] = args;
+        this.applyMatrix(utils.getRotationMatrix(angle, axis));
       } else if (command === 'scale') {
         this.scaleMobject(args[0]);
+      } else if (command === 'flip') {
+        let [axis = consts.UP] = args;
+        this.applyMatrix(utils.getRotationMatrix(consts.PI, axis));
+      } else if (command === 'stretch') {
+        this.stretchMobject(args[0], args[1]);
+      } else if (command === 'apply_matrix') {
+        let [matrix, kwargs = {}] = args;
+        this.applyMatrix(matrix, this.getAboutPoint(kwargs));
+      } else if (command === 'set_width' || command === 'set_height') {
+        let [length, stretch = false] = args;
+        this.rescaleToFit(length, command === 'set_width' ? 0 : 1, stretch);
+      } else if (command === 'stretch_to_fit_width' || command === 'stretch_to_fit_height') {
+        this.rescaleToFit(args[0], command === 'stretch_to_fit_width' ? 0 : 1, true);
+      } else if (command === 'shift') {
+        this.translateMobject(args[0]);
+      } else if (POSITIONING_TRANSFORMATIONS.includes(command)) {
+        continue;
       } else {
         // eslint-disable-next-line
         console.error(`Unknown transformation ${command} with args ${args}`);
@@ -265,6 +372,24 @@ class Group extends Two.Group {
     }
   }
 
+  /* Returns the point which manimlib transforms about for the keyword
+   * arguments about_point and about_edge, or null for the center.
+   */
+  getAboutPoint({ about_point = null, about_edge = null }) {
+    if (about_point !== null) {
+      return about_point;
+    }
+    const dimensions = this.getDimensions();
+    if (about_edge === null || dimensions === null) {
+      return null;
+    }
+    let [cx, cy] = dimensions.center;
+    return [
+      cx + about_edge[0] * dimensions.width / 2,
+      cy + about_edge[1] * dimensions.height / 2,
+    ];
+  }
+
   getStyleDict() {
     let strokeChroma = chroma(this.stroke);
     let fillChroma = chroma(this.fill);
@@ -298,7 +423,6 @@ class Group extends Two.Group {
   }
 
   addPoints(n) {
-    let np = window.pyodide.pyimport("numpy");
     let curNum = this.points().length;
     if (curNum === 1) {
       for (let i = 0; i < n; i++) {
@@ -314,7 +438,7 @@ class Group extends Two.Group {
     // it's total length is target_num.  For example,
     // with curr_num = 10, target_num = 15, this would
     // be [0, 0, 1, 2, 2, 3, 4, 4, 5, 6, 6, 7, 8, 8, 9]
-    let repeatIndices = np.arange(targetNum)
+    let repeatIndices = utils.arange(targetNum)
       .map(x => x * curNum)
       .map(x => Math.floor(x / targetNum));
 
@@ -336,7 +460,7 @@ class Group extends Two.Group {
       let curveStart = this.points()[i];
       let curveEnd = this.points()[i + 1];
       let splitFactor = splitFactors[i];
-      let alphas = np.linspace(0, 1, splitFactor + 1);
+      let alphas = utils.linspace(0, 1, splitFactor + 1);
       for (let j = 0; j < alphas.length - 1; j++) {
         let a1 = alphas[j], a2 = alphas[j + 1];
         let bezierPoints = utils.partialBezierPoints(curveStart, curveEnd, a1, a2);
@@ -416,10 +540,14 @@ class Group extends Two.Group {
     };
   }
 
+  /* Returns the center of the Mobject in the pixel space of the Scene it has
+   * been added to.
+   */
   getPixelCenter() {
     if (this.points().length === 0) {
-      // TODO: This needs the scene's height and width
-      return [this.width / 2, this.height / 2];
+      // Mobjects without points are centered at the origin.
+      let origin = Two.Utils.getComputedMatrix(this).multiply(0, 0, 1);
+      return [origin.x, origin.y];
     }
     let rect = this.getBoundingClientRect();
     return [rect.left + rect.width / 2, rect.top + rect.height / 2];
@@ -444,13 +572,24 @@ class Group extends Two.Group {
     return utils.removeListRedundancies(ret);
   }
 
-  interpolate(mobject1, mobject2, alpha) {
+  /* Sets the points and style to alpha of the way from those of mobject1 to
+   * those of mobject2. Points move along arcs through pathArc radians
+   * counterclockwise (see utils.pathAlongArc), or straight when it's 0.
+   */
+  interpolate(mobject1, mobject2, alpha, pathArc = 0) {
     // interpolate points
+    let path = utils.pathAlongArc(pathArc);
+    let interpolatePoint = (point, start, end) => {
+      let [x, y] = path([start.x, start.y], [end.x, end.y], alpha);
+      return point.set(x, y);
+    };
     let newAnchors = [];
     for (let i = 0; i < this.points().length; i++) {
-      let a = mobject1.points()[i].clone().lerp(mobject2.points()[i], alpha);
-      a.controls.left = mobject1.points()[i].controls.left.clone().lerp(mobject2.points()[i].controls.left, alpha);
-      a.controls.right = mobject1.points()[i].controls.right.clone().lerp(mobject2.points()[i].controls.right, alpha);
+      let start = mobject1.points()[i];
+      let end = mobject2.points()[i];
+      let a = interpolatePoint(start.clone(), start, end);
+      a.controls.left = interpolatePoint(start.controls.left.clone(), start.controls.left, end.controls.left);
+      a.controls.right = interpolatePoint(start.controls.right.clone(), start.controls.right, end.controls.right);
       newAnchors.push(a);
     }
     this.children[0].vertices = newAnchors;
@@ -552,10 +691,6 @@ class Mobject extends Group {
       path = new Two.Path();
     }
     super([path].concat(submobjects), /*fillTopLevel=*/true);
-    if (path !== null) {
-      this.path().matrix.manual = true;
-      this.path().matrix.set(...utils.getManimToTwoTransformationMatrix().toArray().flat());
-    }
     if (style !== null) {
       this.applyStyle(Object.assign({}, DEFAULT_STYLE, style));
     }
@@ -607,12 +742,11 @@ class Arc extends Mobject {
     numComponents = 9,
     style = {},
   } = {}) {
-    let np = window.pyodide.pyimport("numpy");
-    let anchors = Array.from(np.linspace(
+    let anchors = utils.linspace(
       startAngle,
       startAngle + angle,
       numComponents,
-    )).map(x => [np.cos(x), np.sin(x), 0]);
+    ).map(x => [Math.cos(x), Math.sin(x), 0]);
 
     // Figure out which control points will give the
     // Appropriate tangent lines to the circle
@@ -716,18 +850,17 @@ class RegularPolygon extends Polygon {
     height = 2,
     style = {},
   } = {}) {
-    let np = window.pyodide.pyimport("numpy");
     let vertices = [];
     let angle;
     for (let i = 0; i < numSides; i++) {
-      angle = 2 * np.pi * i / numSides;
+      angle = 2 * Math.PI * i / numSides;
       if (numSides % 2 == 0) {
-        angle -= np.pi / numSides;
+        angle -= Math.PI / numSides;
       }
-      vertices.push([np.sin(angle), np.cos(angle)]);
+      vertices.push([Math.sin(angle), Math.cos(angle)]);
     }
-    let halfway = np.trunc(numSides / 2);
-    let oldHeight = np.abs(vertices[0][1] - vertices[halfway][1]);
+    let halfway = Math.trunc(numSides / 2);
+    let oldHeight = Math.abs(vertices[0][1] - vertices[halfway][1]);
     vertices.forEach(function (vertex) {
       vertex[0] *= height / oldHeight;
       vertex[1] *= height / oldHeight;
@@ -747,17 +880,16 @@ class Star extends Polygon {
     ratio = 0.5,
     style = {}
   } = {}) {
-    let np = window.pyodide.pyimport("numpy");
     let vertices = [];
     let angle;
     for (let i = 0; i < numPoints; i++) {
-      angle = 2 * np.pi * i / numPoints;
-      vertices.push([np.sin(angle), np.cos(angle)]);
-      angle += np.pi / numPoints;
-      vertices.push([ratio * np.sin(angle), ratio * np.cos(angle)]);
+      angle = 2 * Math.PI * i / numPoints;
+      vertices.push([Math.sin(angle), Math.cos(angle)]);
+      angle += Math.PI / numPoints;
+      vertices.push([ratio * Math.sin(angle), ratio * Math.cos(angle)]);
     }
-    let halfway = 2 * np.trunc(numPoints / 2);
-    let oldHeight = np.abs(vertices[0][1] - vertices[halfway][1]);
+    let halfway = 2 * Math.trunc(numPoints / 2);
+    let oldHeight = Math.abs(vertices[0][1] - vertices[halfway][1]);
     vertices.forEach(function (vertex) {
       vertex[0] *= height / oldHeight;
       vertex[1] *= height / oldHeight;
@@ -962,7 +1094,7 @@ class SingleStringTexMobject extends Mobject {
   static fromTexString(texString, style, scene) {
     // Create the Mobject with an a prepended for scaling later.
     let group = scene.texToSvgGroup(`a${texString}`);
-    group = utils.normalizeGroup(group);
+    group = utils.normalizeGroup(group, scene);
     let texSymbols = group.children.map(path => new TexSymbol(path.clone(), style));
     let mob = new SingleStringTexMobject(texString, texSymbols, style);
 
@@ -1164,6 +1296,9 @@ export {
   TexMobject,
   TextMobject,
   Animation,
+  Transform,
+  ClockwiseTransform,
+  CounterclockwiseTransform,
   ReplacementTransform,
   ShowCreation,
   // ApplyPointwiseFunction,
@@ -1171,5 +1306,8 @@ export {
   FadeOut,
   FadeIn,
   Wait,
+  AnimationGroup,
+  Succession,
+  LaggedStart,
   Scene,
 };
@@ -0,0 +1,161 @@
+/*
+ * Permalinks encode a scene in the hash of the lab's URL so that it can be
+ * shared as a link. The hash is of the form
+ *   #v<version>:<data>
+ * where data is the base64url encoding of the deflated JSON of a link:
+ * {
+ *   code:        the code in the editor,
+ *   chosenScene: the name of the Scene to render,
+ *   aspectRatio: one of the keys of consts.ASPECT_RATIOS,
+ *   project:     optionally, the project (see src/project.js) holding the
+ *                scene as edited in the lab,
+ * }
+ * Links of older versions are still decoded by LINK_DECODERS, and the project
+ * in a link is migrated like a project file, so links keep working after the
+ * format changes.
+ */
+import * as consts from './constants.js'
+import * as projects from './project.js'
+
+export const LINK_VERSION = 1;
+const HASH_PATTERN = /^#v(\d+):([A-Za-z0-9_-]*)$/;
+
+/* LINK_DECODERS[n] takes the decompressed JSON of a link of version n and
+ * returns the link.
+ */
+const LINK_DECODERS = {
+  1: json => JSON.parse(json),
+};
+
+/* Returns whether the browser has the streams which links are compressed
+ * with, which older browsers lack.
+ */
+export function compressionIsSupported() {
+  return "CompressionStream" in window && "DecompressionStream" in window;
+}
+
+function compress(string) {
+  let stream = new Blob([string]).stream().pipeThrough(
+    new window.CompressionStream("deflate-raw"),
+  );
+  return new Response(stream).arrayBuffer().then(buffer => new Uint8Array(buffer));
+}
+
+function decompress(bytes) {
+  let stream = new Blob([bytes]).stream().pipeThrough(
+    new window.DecompressionStream("deflate-raw"),
+  );
+  return new Response(stream).text();
+}
+
+function toBase64Url(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(data) {
+  let binary = atob(data.replace(/-/g, "+").replace(/_/g, "/"));
+  let bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function invalidLinkError(problems) {
+  let error = new Error(`Invalid link: ${problems.join("; ")}`);
+  error.problems = problems;
+  return error;
+}
+
+/* Returns a Promise resolving to the URL hash for a link. */
+export function encodeLink(link) {
+  if (!compressionIsSupported()) {
+    return Promise.reject(new Error("This browser can't make compressed links"));
+  }
+  return compress(JSON.stringify(link)).then(
+    bytes => `#v${LINK_VERSION}:${toBase64Url(bytes)}`,
+  );
+}
+
+/* Returns a Promise resolving to the URL of the lab at baseUrl (a URL without
+ * a hash) with link encoded in its hash.
+ */
+export function createPermalink(baseUrl, link) {
+  return encodeLink(link).then(hash => baseUrl + hash);
+}
+
+/* Returns whether a URL hash looks like a permalink. */
+export function isPermalinkHash(hash) {
+  return HASH_PATTERN.test(hash);
+}
+
+/* Returns a Promise resolving to the link encoded in a URL hash. The Promise
+ * is rejected with an Error whose problems property lists what's wrong if the
+ * hash isn't a valid link.
+ */
+export function decodeLink(hash) {
+  let match = hash.match(HASH_PATTERN);
+  if (match === null) {
+    return Promise.reject(invalidLinkError(["The URL doesn't contain a scene"]));
+  }
+  let version = Number(match[1]);
+  if (version > LINK_VERSION) {
+    return Promise.reject(invalidLinkError([
+      `The link was made by a newer version of the lab (version ${version}; ` +
+      `this one supports up to ${LINK_VERSION})`,
+    ]));
+  }
+  let decode = LINK_DECODERS[version];
+  if (decode === undefined) {
+    return Promise.reject(
+      invalidLinkError([`Links of version ${version} can no longer be opened`]),
+    );
+  }
+  if (!compressionIsSupported()) {
+    return Promise.reject(invalidLinkError(["This browser can't open compressed links"]));
+  }
+  return Promise.resolve().then(
+    () => decompress(fromBase64Url(match[2])),
+  ).catch(() => {
+    throw invalidLinkError(["The link is incomplete or corrupted"]);
+  }).then(json => {
+    let link;
+    try {
+      link = decode(json);
+    } catch (error) {
+      throw invalidLinkError([`The link doesn't contain valid JSON (${error.message})`]);
+    }
+    return checkLink(link);
+  });
+}
+
+function checkLink(link) {
+  if (typeof link !== "object" || link === null || Array.isArray(link)) {
+    throw invalidLinkError(["The link doesn't contain a scene"]);
+  }
+  let problems = [];
+  for (let key of ["code", "chosenScene"]) {
+    if (typeof link[key] !== "string") {
+      problems.push(`${key} should be a string`);
+    }
+  }
+  if (!(link.aspectRatio in consts.ASPECT_RATIOS)) {
+    problems.push(
+      `aspectRatio should be one of ${Object.keys(consts.ASPECT_RATIOS).join(", ")}`,
+    );
+  }
+  if (problems.length > 0) {
+    throw invalidLinkError(problems);
+  }
+  return {
+    code: link.code,
+    chosenScene: link.chosenScene,
+    aspectRatio: link.aspectRatio,
+    // Throws with the project's problems if it's invalid.
+    project: link.project != null ? projects.checkProject(link.project) : null,
+  };
+}
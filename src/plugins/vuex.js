@@ -1,13 +1,15 @@
 import Vue from 'vue';
 import Vuex from 'vuex'
+import editor from '../store/editor.js'
+import lab from '../store/lab.js'
 
 Vue.use(Vuex);
 
 const store = new Vuex.Store({
-  state: {},
-  mutations: {},
-  actions: {},
-  getters: {}
+  modules: {
+    editor,
+    lab,
+  },
 });
 
 export default store;
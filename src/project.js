@@ -0,0 +1,470 @@
+/*
+ * Projects are the state of the lab saved as JSON:
+ * {
+ *   format:         PROJECT_FORMAT,
+ *   version:        PROJECT_VERSION,
+ *   savedAt:        an ISO 8601 timestamp,
+ *   code:           the code in the editor,
+ *   chosenScene:    the name of the Scene chosen in the editor,
+ *   aspectRatio:    one of the keys of consts.ASPECT_RATIOS,
+ *   mobjects:       { mobject1: {className, params, position, ...}, ... },
+ *   animations:     [{className, args, durationSeconds, lagRatio, ...}, ...],
+ *   sceneDiffs:     [diff, ...],
+ *   animationDiffs: [diff, ...],
+ * }
+ * mobjects hold the Mobjects as they are at the start of the Scene, in the
+ * form used by MobjectLabContainer but without the built Mobjects.
+ *
+ * Whenever the format changes, PROJECT_VERSION is incremented and a migration
+ * from the previous version is added to MIGRATIONS so that older projects can
+ * still be opened.
+ */
+import chroma from 'chroma-js'
+import * as _ from 'lodash'
+import * as consts from './constants.js'
+import * as Manim from './manim.js'
+import * as utils from './utils.js'
+
+export const PROJECT_FORMAT = "eulerv2-project";
+export const PROJECT_VERSION = 2;
+export const PROJECT_FILE_EXTENSION = ".euler.json";
+
+// MIGRATIONS[n] takes a project of version n to version n + 1.
+const MIGRATIONS = {
+  // Modification commands in diffs became objects rather than strings.
+  1: project => {
+    let diffs = _.concat(
+      Array.isArray(project.sceneDiffs) ? project.sceneDiffs : [],
+      Array.isArray(project.animationDiffs) ? project.animationDiffs : [],
+    );
+    for (let diff of diffs) {
+      if (!isObject(diff) || !Array.isArray(diff.modify)) {
+        continue;
+      }
+      diff.modify = diff.modify.map(modification => {
+        if (!Array.isArray(modification)) {
+          return modification;
+        }
+        let [name, ...commands] = modification;
+        return [name, ...commands.map(parseCommandString)];
+      });
+    }
+    project.version = 2;
+    return project;
+  },
+};
+
+/* Returns the command for a modification of version 1, which was a string of
+ * the form "add mobject1", "remove mobject1", or "set position [1,0]". Anything
+ * else is left for validation to report.
+ */
+function parseCommandString(command) {
+  if (typeof command !== "string") {
+    return command;
+  }
+  let [type, arg, ...value] = command.split(" ");
+  if (type === "add" || type === "remove") {
+    return { type: type, submobject: arg };
+  }
+  if (type === "set" && arg in utils.PROPERTY_COMMANDS) {
+    try {
+      return { type: utils.PROPERTY_COMMANDS[arg], [arg]: JSON.parse(value.join(" ")) };
+    } catch (error) {
+      return command;
+    }
+  }
+  return command;
+}
+
+/* Returns the project for the state of the lab, where sceneData is of the
+ * form returned by MobjectLabContainer.getSceneData.
+ */
+export function createProject({ code, chosenScene, aspectRatio, sceneData }) {
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    code: code,
+    chosenScene: chosenScene,
+    aspectRatio: aspectRatio,
+    mobjects: _.mapValues(sceneData.mobjects, data => _.omit(data, "mobject")),
+    // Built Animations and Python callbacks (e.g. stop conditions) can't be
+    // saved.
+    animations: sceneData.animations.map(
+      data => _.omit(data, ["animation", "func", "stopCondition"]),
+    ),
+    sceneDiffs: sceneData.sceneDiffs,
+    animationDiffs: sceneData.animationDiffs,
+  };
+}
+
+export function serializeProject(project) {
+  return JSON.stringify(project, null, 2);
+}
+
+/* Brings a project from an older version of the format up to date. */
+export function migrateProject(project) {
+  let migrated = project;
+  while (migrated.version < PROJECT_VERSION) {
+    let migrate = MIGRATIONS[migrated.version];
+    if (migrate === undefined) {
+      throw new Error(`Projects of version ${migrated.version} can no longer be opened`);
+    }
+    migrated = migrate(_.cloneDeep(migrated));
+  }
+  return migrated;
+}
+
+/* Parses, migrates, and validates the text of a project file. Throws an Error
+ * whose problems property lists everything wrong with the project if it's
+ * invalid.
+ */
+export function parseProject(text) {
+  let project;
+  try {
+    project = JSON.parse(text);
+  } catch (error) {
+    throw invalidProjectError([`The file isn't valid JSON (${error.message})`]);
+  }
+  return checkProject(project);
+}
+
+/* Migrates and validates a project which has already been parsed, throwing
+ * like parseProject if it's invalid.
+ */
+export function checkProject(project) {
+  let problems = validateHeader(project);
+  if (problems.length > 0) {
+    throw invalidProjectError(problems);
+  }
+  project = migrateProject(project);
+  problems = validateProject(project);
+  if (problems.length > 0) {
+    throw invalidProjectError(problems);
+  }
+  return project;
+}
+
+function invalidProjectError(problems) {
+  let error = new Error(`Invalid project: ${problems.join("; ")}`);
+  error.problems = problems;
+  return error;
+}
+
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function isNumber(value) {
+  return typeof value === "number" && isFinite(value);
+}
+
+function isNumberArray(value, minLength, maxLength) {
+  return Array.isArray(value) && value.length >= minLength &&
+    value.length <= maxLength && value.every(isNumber);
+}
+
+/* Returns whether className names BaseClass or one of its subclasses. */
+function isSubclassName(className, BaseClass) {
+  if (typeof className !== "string" || !Object.hasOwnProperty.call(Manim, className)) {
+    return false;
+  }
+  let Class = Manim[className];
+  return Class === BaseClass || Class.prototype instanceof BaseClass;
+}
+
+function validateHeader(project) {
+  if (!isObject(project)) {
+    return ["The file doesn't contain a project"];
+  }
+  if (project.format !== PROJECT_FORMAT) {
+    return [`The file isn't a project (format should be "${PROJECT_FORMAT}")`];
+  }
+  if (!Number.isInteger(project.version) || project.version < 1) {
+    return ["version should be a positive integer"];
+  }
+  if (project.version > PROJECT_VERSION) {
+    return [
+      `The project was saved by a newer version of the lab (version ` +
+      `${project.version}; this one supports up to ${PROJECT_VERSION})`,
+    ];
+  }
+  return [];
+}
+
+function validateStyle(path, style, problems) {
+  if (!isObject(style)) {
+    problems.push(`${path} should be an object`);
+    return;
+  }
+  for (let key of ["strokeColor", "fillColor"]) {
+    if (style[key] !== undefined && !chroma.valid(style[key])) {
+      problems.push(`${path}.${key} should be a color`);
+    }
+  }
+  for (let key of ["strokeOpacity", "fillOpacity"]) {
+    let value = style[key];
+    if (value !== undefined && !(isNumber(value) && value >= 0 && value <= 1)) {
+      problems.push(`${path}.${key} should be a number from 0 to 1`);
+    }
+  }
+  if (style.strokeWidth !== undefined && !(isNumber(style.strokeWidth) && style.strokeWidth >= 0)) {
+    problems.push(`${path}.strokeWidth should be a non-negative number`);
+  }
+}
+
+function validateTransformations(path, transformations, problems) {
+  if (!Array.isArray(transformations)) {
+    problems.push(`${path} should be a list`);
+    return;
+  }
+  transformations.forEach((transformation, i) => {
+    if (!Array.isArray(transformation) || typeof transformation[0] !== "string") {
+      problems.push(`${path}[${i}] should be a list starting with the name of the transformation`);
+    }
+  });
+}
+
+function validateMobject(name, data, mobjects, problems) {
+  let path = `mobjects.${name}`;
+  if (!isObject(data)) {
+    problems.push(`${path} should be an object`);
+    return;
+  }
+  if (!(utils.isGroupData(data) || isSubclassName(data.className, Manim.Group))) {
+    problems.push(`${path}.className should name a Mobject class (got ${JSON.stringify(data.className)})`);
+  }
+  if (data.params !== undefined && !isObject(data.params)) {
+    problems.push(`${path}.params should be an object`);
+  }
+  if (data.position !== undefined && !isNumberArray(data.position, 2, 3)) {
+    problems.push(`${path}.position should be a list of 2 or 3 numbers`);
+  }
+  if (!utils.isGroupData(data) && !utils.isTexData(data)) {
+    if (data.position === undefined) {
+      problems.push(`${path}.position is missing`);
+    }
+    if (data.style === undefined) {
+      problems.push(`${path}.style is missing`);
+    }
+  }
+  if (data.style !== undefined) {
+    validateStyle(`${path}.style`, data.style, problems);
+  }
+  if (data.transformations !== undefined) {
+    validateTransformations(`${path}.transformations`, data.transformations, problems);
+  }
+  if (utils.isGroupData(data) || utils.isTexData(data)) {
+    if (!Array.isArray(data.submobjects)) {
+      problems.push(`${path}.submobjects should be a list`);
+    } else {
+      for (let submobjectName of data.submobjects) {
+        if (!(submobjectName in mobjects)) {
+          problems.push(`${path}.submobjects contains the unknown Mobject ${JSON.stringify(submobjectName)}`);
+        }
+      }
+    }
+  }
+}
+
+function validateAnimation(path, data, mobjects, problems) {
+  if (!isObject(data)) {
+    problems.push(`${path} should be an object`);
+    return;
+  }
+  let schemaArgs = [];
+  if (!isSubclassName(data.className, Manim.Animation)) {
+    problems.push(`${path}.className should name an Animation class (got ${JSON.stringify(data.className)})`);
+  } else {
+    schemaArgs = Manim[data.className].getSchema().args;
+  }
+  if (isSubclassName(data.className, Manim.AnimationGroup)) {
+    if (!Array.isArray(data.animations)) {
+      problems.push(`${path}.animations should be a list`);
+    } else {
+      data.animations.forEach((child, i) => validateAnimation(
+        `${path}.animations[${i}]`,
+        child,
+        mobjects,
+        problems,
+      ));
+    }
+  }
+  if (!Array.isArray(data.args)) {
+    problems.push(`${path}.args should be a list`);
+  } else {
+    for (let [i, arg] of data.args.entries()) {
+      let type = schemaArgs[i] !== undefined ? schemaArgs[i].type : "mobject";
+      if (type === "number" && !isNumber(arg)) {
+        problems.push(`${path}.args[${i}] should be a number`);
+      } else if (type === "color" && typeof arg !== "string") {
+        problems.push(`${path}.args[${i}] should be a color`);
+      } else if (type === "mobject" && arg !== null && !(arg in mobjects)) {
+        // Mobjects which haven't been chosen yet are null.
+        problems.push(`${path}.args contains the unknown Mobject ${JSON.stringify(arg)}`);
+      }
+    }
+  }
+  if (data.durationSeconds !== undefined && !(isNumber(data.durationSeconds) && data.durationSeconds >= 0)) {
+    problems.push(`${path}.durationSeconds should be a non-negative number`);
+  }
+  if (data.lagRatio !== undefined && !(isNumber(data.lagRatio) && data.lagRatio >= 0)) {
+    problems.push(`${path}.lagRatio should be a non-negative number`);
+  }
+  if (data.pathArc !== undefined && !isNumber(data.pathArc)) {
+    problems.push(`${path}.pathArc should be a number`);
+  }
+  if (data.rateFunc !== undefined && !Object.hasOwnProperty.call(utils.RATE_FUNCTIONS, data.rateFunc)) {
+    problems.push(`${path}.rateFunc should be one of ${Object.keys(utils.RATE_FUNCTIONS).join(", ")} (got ${JSON.stringify(data.rateFunc)})`);
+  }
+}
+
+function validateDiff(path, diff, mobjects, problems) {
+  if (!isObject(diff)) {
+    problems.push(`${path} should be an object`);
+    return;
+  }
+  for (let key of ["add", "remove"]) {
+    if (diff[key] === undefined) {
+      continue;
+    }
+    if (!Array.isArray(diff[key])) {
+      problems.push(`${path}.${key} should be a list`);
+      continue;
+    }
+    for (let name of diff[key]) {
+      if (!(name in mobjects)) {
+        problems.push(`${path}.${key} contains the unknown Mobject ${JSON.stringify(name)}`);
+      }
+    }
+  }
+  if (diff.modify === undefined) {
+    return;
+  }
+  if (!Array.isArray(diff.modify)) {
+    problems.push(`${path}.modify should be a list`);
+    return;
+  }
+  diff.modify.forEach((modification, i) => {
+    if (
+      !Array.isArray(modification) || modification.length !== 3 ||
+      !(modification[0] in mobjects)
+    ) {
+      problems.push(`${path}.modify[${i}] should be of the form [mobject, forwardCommand, backwardCommand]`);
+      return;
+    }
+    validateCommand(`${path}.modify[${i}][1]`, modification[1], mobjects, problems);
+    validateCommand(`${path}.modify[${i}][2]`, modification[2], mobjects, problems);
+  });
+}
+
+/* Checks the shape given to a Mobject by a "become" command, which holds the
+ * utils.SHAPE_PROPERTIES of a Mobject without submobjects.
+ */
+function validateShape(path, shape, problems) {
+  if (!isObject(shape)) {
+    problems.push(`${path} should be an object`);
+    return;
+  }
+  if (utils.isGroupData(shape) || !isSubclassName(shape.className, Manim.Group)) {
+    problems.push(`${path}.className should name a Mobject class (got ${JSON.stringify(shape.className)})`);
+  }
+  if (shape.params !== undefined && !isObject(shape.params)) {
+    problems.push(`${path}.params should be an object`);
+  }
+  if (!isNumberArray(shape.position, 2, 3)) {
+    problems.push(`${path}.position should be a list of 2 or 3 numbers`);
+  }
+  validateStyle(`${path}.style`, shape.style, problems);
+  if (shape.transformations !== undefined) {
+    validateTransformations(`${path}.transformations`, shape.transformations, problems);
+  }
+}
+
+function validateCommand(path, command, mobjects, problems) {
+  if (!isObject(command) || !(command.type in utils.MODIFICATION_FIELDS)) {
+    problems.push(
+      `${path} should be a command whose type is one of ` +
+      Object.keys(utils.MODIFICATION_FIELDS).join(", "),
+    );
+    return;
+  }
+  for (let field of utils.MODIFICATION_FIELDS[command.type]) {
+    let value = command[field];
+    if (field === "index") {
+      if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+        problems.push(`${path}.index should be a non-negative integer`);
+      }
+    } else if (["submobject", "from", "to"].includes(field)) {
+      if (!(value in mobjects)) {
+        problems.push(`${path}.${field} should name a Mobject (got ${JSON.stringify(value)})`);
+      }
+    } else if (field === "position") {
+      if (!isNumberArray(value, 2, 3)) {
+        problems.push(`${path}.position should be a list of 2 or 3 numbers`);
+      }
+    } else if (field === "style") {
+      validateStyle(`${path}.style`, value, problems);
+    } else if (field === "shape") {
+      // Transforms whose target hasn't been chosen yet give no shape.
+      if (value !== null) {
+        validateShape(`${path}.shape`, value, problems);
+      }
+    } else if (!Array.isArray(value)) {
+      problems.push(`${path}.${field} should be a list`);
+    }
+  }
+}
+
+/* Returns a list of readable descriptions of what's wrong with an up-to-date
+ * project, which is empty if it's valid.
+ */
+export function validateProject(project) {
+  let problems = validateHeader(project);
+  if (problems.length > 0) {
+    return problems;
+  }
+  for (let key of ["code", "chosenScene"]) {
+    if (typeof project[key] !== "string") {
+      problems.push(`${key} should be a string`);
+    }
+  }
+  if (!(project.aspectRatio in consts.ASPECT_RATIOS)) {
+    problems.push(
+      `aspectRatio should be one of ${Object.keys(consts.ASPECT_RATIOS).join(", ")}`,
+    );
+  }
+  // The rest of the checks rely on the project having this shape.
+  let hasShape = isObject(project.mobjects);
+  if (!hasShape) {
+    problems.push("mobjects should be an object");
+  }
+  for (let key of ["animations", "sceneDiffs", "animationDiffs"]) {
+    if (!Array.isArray(project[key])) {
+      problems.push(`${key} should be a list`);
+      hasShape = false;
+    }
+  }
+  if (!hasShape) {
+    return problems;
+  }
+
+  if (project.animations.length === 0) {
+    problems.push("animations should contain at least one animation");
+  }
+
+  let mobjects = project.mobjects;
+  for (let name of Object.keys(mobjects)) {
+    validateMobject(name, mobjects[name], mobjects, problems);
+  }
+  project.animations.forEach(
+    (data, i) => validateAnimation(`animations[${i}]`, data, mobjects, problems),
+  );
+  for (let key of ["sceneDiffs", "animationDiffs"]) {
+    if (project[key].length !== project.animations.length) {
+      problems.push(`${key} should have one diff for each of the ${project.animations.length} animations`);
+    }
+    project[key].forEach((diff, i) => validateDiff(`${key}[${i}]`, diff, mobjects, problems));
+  }
+  return problems;
+}
@@ -0,0 +1,168 @@
+/*
+ * The page's side of the worker which runs Pyodide and manimlib
+ * (public/manim-worker.js). Requests are sent to the worker as messages and
+ * answered with Promises.
+ */
+
+const WORKER_URL = `${process.env.BASE_URL}manim-worker.js`;
+
+class PythonWorker {
+  /* The worker has no DOM, so TeX is rendered on the page by texToPoints,
+   * which takes a TeX string and returns the points of its paths in the form
+   * manimlib expects.
+   */
+  constructor(texToPoints) {
+    this.texToPoints = texToPoints;
+    this.nextId = 0;
+    this.pending = {};
+    this.start();
+  }
+
+  start() {
+    this.worker = new Worker(WORKER_URL);
+    this.worker.onmessage = e => this.handleMessage(e.data);
+    // e.g. the worker's script couldn't be loaded at all.
+    this.worker.onerror = e => {
+      e.preventDefault();
+      this.fail(new Error(`The Python worker failed: ${e.message}`));
+    };
+    // Resolves once manimlib has loaded in the worker, or rejects if it
+    // can't be loaded.
+    this.ready = new Promise((resolve, reject) => {
+      this.resolveReady = resolve;
+      this.rejectReady = reject;
+    });
+    // Failures are reported through the requests as well.
+    this.ready.catch(() => {});
+    // Why the worker couldn't load manimlib, or null.
+    this.loadError = null;
+  }
+
+  request(type, params = {}, onProgress = null) {
+    if (this.loadError !== null) {
+      return Promise.reject(this.loadError);
+    }
+    let id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending[id] = { resolve: resolve, reject: reject, onProgress: onProgress };
+      this.worker.postMessage(Object.assign({ id: id, type: type }, params));
+    });
+  }
+
+  handleMessage(message) {
+    if (message.type === "ready") {
+      this.resolveReady();
+      return;
+    } else if (message.type === "failed") {
+      this.fail(new Error(message.message));
+      return;
+    }
+    let request = this.pending[message.id];
+    if (request === undefined) {
+      return;
+    }
+    switch (message.type) {
+      case "result":
+        delete this.pending[message.id];
+        request.resolve(message.result);
+        break;
+      case "error": {
+        delete this.pending[message.id];
+        let error = new Error(message.message);
+        if (message.python !== undefined) {
+          error.python = message.python;
+        }
+        request.reject(error);
+        break;
+      }
+      case "progress":
+        if (request.onProgress !== null) {
+          request.onProgress({ stage: message.stage, animations: message.animations });
+        }
+        break;
+      case "tex": {
+        let points = {};
+        try {
+          for (let tex of message.texStrings) {
+            points[tex] = this.texToPoints(tex);
+          }
+        } catch (error) {
+          delete this.pending[message.id];
+          request.reject(error);
+          break;
+        }
+        this.worker.postMessage({ id: message.id, type: "texPoints", points: points });
+        break;
+      }
+      default:
+        // eslint-disable-next-line
+        console.error("Unknown message from the Python worker", message);
+    }
+  }
+
+  /* Returns a Promise resolving to the serialized WebScene sceneName defined
+   * in code:
+   * {
+   *   scenes_before_animation: [...],
+   *   animation_list: [...],
+   *   initial_mobject_dict: {...},
+   * }
+   * onProgress is called with objects of the form { stage, animations } as
+   * the Scene is constructed.
+   *
+   * If the code raises an exception the Promise is rejected with an Error
+   * whose python property describes it:
+   * {
+   *   type:      the name of the exception's class,
+   *   message:   str(exception),
+   *   traceback: the formatted traceback,
+   *   lines:     [{ line, column }, ...] for each frame in code (1-based
+   *              lines; column is null unless known), innermost last,
+   * }
+   */
+  getScene(code, sceneName, onProgress = null) {
+    return this.request("getScene", { code: code, sceneName: sceneName }, onProgress);
+  }
+
+  /* Returns a Promise resolving to the names of the Scenes defined in code. */
+  getSceneChoices(code) {
+    return this.request("getSceneChoices", { code: code });
+  }
+
+  /* Returns a Promise resolving to descriptions of the names exported by
+   * manimlib.imports along with the methods of Scenes and Mobjects, for
+   * completion in the editor. See src/completion.js.
+   */
+  describeManimlib() {
+    return this.request("describeManimlib");
+  }
+
+  /* Rejects ready and every pending request with error after the worker
+   * failed to load. Later requests are rejected with it too, until cancel()
+   * starts a new worker.
+   */
+  fail(error) {
+    this.loadError = error;
+    this.rejectReady(error);
+    for (let id of Object.keys(this.pending)) {
+      this.pending[id].reject(error);
+    }
+    this.pending = {};
+  }
+
+  /* Stops whatever Python is running by replacing the worker. Pending
+   * requests are rejected with an Error whose cancelled property is true.
+   */
+  cancel() {
+    this.worker.terminate();
+    for (let id of Object.keys(this.pending)) {
+      let error = new Error("The Python worker was cancelled");
+      error.cancelled = true;
+      this.pending[id].reject(error);
+    }
+    this.pending = {};
+    this.start();
+  }
+}
+
+export { PythonWorker }
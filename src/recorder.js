@@ -0,0 +1,136 @@
+/*
+ * Records a MobjectLab Scene to a WebM video in the browser. Frames are
+ * generated by an OfflineRenderer and pushed to a MediaRecorder one at a time,
+ * each at its time from the start at the frame rate of the chosen camera
+ * config.
+ */
+import { OfflineRenderer, fillCanvasBackground } from './renderer.js'
+
+const WEBM_MIME_TYPES = [
+  "video/webm;codecs=vp9",
+  "video/webm;codecs=vp8",
+  "video/webm",
+];
+
+export function videoRecordingIsSupported() {
+  return typeof window.MediaRecorder !== "undefined" &&
+    typeof HTMLCanvasElement.prototype.captureStream === "function";
+}
+
+function getSupportedMimeType() {
+  return WEBM_MIME_TYPES.find(type => window.MediaRecorder.isTypeSupported(type));
+}
+
+class VideoRecorder {
+  /* cameraConfig is one of the camera configs from constants.js, whose pixel
+   * height sets the length of the video's shorter side. onProgress is called
+   * with the index of the Animation being recorded and the alpha of the
+   * current frame.
+   */
+  constructor(sceneData, cameraConfig, onProgress = null) {
+    this.frameRate = cameraConfig["frame_rate"];
+    this.renderer = new OfflineRenderer(sceneData, {
+      frameRate: this.frameRate,
+      size: cameraConfig["pixel_height"],
+    });
+    this.onProgress = onProgress;
+    this.cancelled = false;
+    this.mediaRecorder = null;
+    this.timeout = null;
+    this.onVisible = null;
+  }
+
+  /* Returns a Promise resolving to a Blob containing the video, or to null if
+   * the recording was cancelled.
+   */
+  record() {
+    let canvas = this.renderer.scene.renderer.domElement;
+    let stream = canvas.captureStream(0);
+    let track = stream.getVideoTracks()[0];
+    let chunks = [];
+    let mimeType = getSupportedMimeType();
+    this.mediaRecorder = new window.MediaRecorder(stream, { mimeType: mimeType });
+    this.mediaRecorder.ondataavailable = e => {
+      if (e.data.size > 0) {
+        chunks.push(e.data);
+      }
+    };
+
+    return new Promise((resolve, reject) => {
+      this.mediaRecorder.onstop = () => {
+        track.stop();
+        resolve(this.cancelled ? null : new Blob(chunks, { type: "video/webm" }));
+      };
+      this.mediaRecorder.onerror = e => reject(e.error);
+
+      let frames = this.renderer.frames();
+      // MediaRecorder timestamps frames as they're captured, so each frame is
+      // captured at its time measured from the start rather than a frame
+      // after the last one, which would add the time taken to render each.
+      let startTime = null;
+      let frameCount = 0;
+      let recordNextFrame = () => {
+        if (this.cancelled) {
+          return;
+        }
+        if (document.hidden) {
+          // Timers are throttled in background tabs, so recording is paused
+          // until the tab is shown again.
+          this.mediaRecorder.pause();
+          this.onVisible = () => {
+            if (document.hidden) {
+              return;
+            }
+            document.removeEventListener("visibilitychange", this.onVisible);
+            this.onVisible = null;
+            this.mediaRecorder.resume();
+            startTime = performance.now() - frameCount * 1000 / this.frameRate;
+            recordNextFrame();
+          };
+          document.addEventListener("visibilitychange", this.onVisible);
+          return;
+        }
+        let next;
+        try {
+          next = frames.next();
+        } catch (error) {
+          this.cancel();
+          reject(error);
+          return;
+        }
+        if (next.done) {
+          this.mediaRecorder.stop();
+          return;
+        }
+        fillCanvasBackground(canvas);
+        track.requestFrame();
+        if (this.onProgress !== null) {
+          this.onProgress(next.value.animationIndex, next.value.alpha);
+        }
+        frameCount++;
+        let nextFrameTime = startTime + frameCount * 1000 / this.frameRate;
+        this.timeout = setTimeout(
+          recordNextFrame,
+          Math.max(0, nextFrameTime - performance.now()),
+        );
+      };
+      this.mediaRecorder.start();
+      startTime = performance.now();
+      recordNextFrame();
+    });
+  }
+
+  cancel() {
+    this.cancelled = true;
+    clearTimeout(this.timeout);
+    if (this.onVisible !== null) {
+      document.removeEventListener("visibilitychange", this.onVisible);
+      this.onVisible = null;
+    }
+    if (this.mediaRecorder !== null && this.mediaRecorder.state !== "inactive") {
+      this.mediaRecorder.stop();
+    }
+  }
+}
+
+export { VideoRecorder }
@@ -0,0 +1,274 @@
+/*
+ * Offline rendering of a MobjectLab Scene. Unlike the live player, which is
+ * driven by requestAnimationFrame, the OfflineRenderer steps through every
+ * Animation at a fixed frame rate so that the same data always produces the
+ * same frames.
+ */
+import * as Two from 'two.js/build/two.js'
+import chroma from 'chroma-js'
+import * as consts from './constants.js'
+import * as lab from './lab.js'
+import * as utils from './utils.js'
+import {Scene} from './scene.js'
+import {createZip} from './zip.js'
+
+export const BACKGROUND_COLOR = consts.BLACK;
+
+class OfflineRenderer {
+  /* sceneData holds the state of the lab at the start of the Scene:
+   * {
+   *   mobjects:       { mobject1: {className, params, ...}, ... },
+   *   animations:     [{className, args, durationSeconds, ...}, ...],
+   *   sceneDiffs:     [diff, ...],
+   *   animationDiffs: [diff, ...],
+   *   aspectRatio:    width / height,
+   * }
+   * Frames are size pixels along their shorter side unless width and height
+   * are given. When running headless (e.g. in Node), pass a canvas implementation as
+   * domElement or a fully constructed scene.
+   */
+  constructor(
+    sceneData,
+    {
+      frameRate = consts.DEFAULT_FRAME_RATE,
+      size = consts.DEFAULT_SCENE_SIZE,
+      width = null,
+      height = null,
+      scene = null,
+      domElement = undefined,
+    } = {},
+  ) {
+    this.mobjects = sceneData.mobjects;
+    this.animations = sceneData.animations;
+    this.sceneDiffs = sceneData.sceneDiffs;
+    this.animationDiffs = sceneData.animationDiffs;
+    this.frameRate = frameRate;
+    if (scene === null) {
+      let aspectRatio = sceneData.aspectRatio ||
+        consts.ASPECT_RATIOS[consts.DEFAULT_ASPECT_RATIO];
+      if (width === null || height === null) {
+        [width, height] = utils.getPixelDimensions(size, aspectRatio);
+      }
+      scene = new Scene({
+        type: Two.Types.canvas,
+        width: width,
+        height: height,
+        frameRate: frameRate,
+        domElement: domElement,
+        aspectRatio: aspectRatio,
+        // Render at exactly the requested resolution regardless of the
+        // display's pixel density.
+        ratio: 1,
+      });
+    }
+    this.scene = scene;
+  }
+
+  /* Steps the Scene through the Animations from startIndex up to (but not
+   * including) endIndex, yielding once per frame after the Scene has been
+   * updated to show it. The first frame shows the start of the first Animation
+   * in the range; the last shows the end of the last one.
+   */
+  *frames(startIndex = 0, endIndex = this.animations.length) {
+    let mobjects = lab.cloneMobjectData(this.mobjects);
+    let priorScene = [];
+    let frameIndex = 0;
+    this.scene.clear();
+    // Animations may take Mobjects which aren't in the Scene yet.
+    lab.setMobjectFields(mobjects, this.scene);
+    for (let i = 0; i < endIndex; i++) {
+      let animationData = this.animations[i];
+      let sceneDiff = this.sceneDiffs[i] || {};
+      let animationDiff = this.animationDiffs[i] || {};
+      if (!lab.diffIsValidForScene(sceneDiff, priorScene, mobjects)) {
+        throw new Error(`The setup for animation ${i} (${animationData.className}) is invalid`);
+      }
+      lab.applyDiff(this.scene, mobjects, sceneDiff);
+      let sceneBeforeAnimation = lab.diffPriorScene(priorScene, sceneDiff);
+      if (!lab.diffIsValidForScene(animationDiff, sceneBeforeAnimation, mobjects)) {
+        throw new Error(`Animation ${i} (${animationData.className}) is invalid`);
+      }
+      if (i < startIndex) {
+        // Jump straight to the end of Animations before the range.
+        lab.applyDiff(this.scene, mobjects, animationDiff);
+        priorScene = lab.diffPriorScene(sceneBeforeAnimation, animationDiff);
+        continue;
+      }
+
+      let animation = lab.buildAnimation(animationData, mobjects);
+      this.scene.beginAnimation(animation);
+      if (i === startIndex) {
+        this.scene.update();
+        yield this.getFrameInfo(frameIndex++, i, 0);
+      }
+      for (let animationFrame = 1; ; animationFrame++) {
+        let alpha = animation.getAlpha(animationFrame / this.frameRate);
+        animation.interpolate(alpha);
+        let finished = animation.isFinished(alpha);
+        if (finished) {
+          this.scene.finishAnimation(animation);
+          lab.applyDiff(this.scene, mobjects, animationDiff);
+        }
+        this.scene.update();
+        yield this.getFrameInfo(frameIndex++, i, alpha);
+        if (finished) {
+          break;
+        }
+      }
+      priorScene = lab.diffPriorScene(sceneBeforeAnimation, animationDiff);
+    }
+  }
+
+  getFrameInfo(index, animationIndex, alpha) {
+    return {
+      index: index,
+      seconds: index / this.frameRate,
+      animationIndex: animationIndex,
+      alpha: alpha,
+    };
+  }
+
+  /* Returns the SVG markup of every frame. */
+  renderSvgFrames() {
+    let ret = [];
+    let frames = this.frames();
+    while (!frames.next().done) {
+      ret.push(sceneToSvg(this.scene));
+    }
+    return ret;
+  }
+
+  /* Returns a Promise resolving to the PNG bytes of every frame. */
+  renderPngFrames() {
+    let pending = [];
+    let frames = this.frames();
+    while (!frames.next().done) {
+      pending.push(canvasToPng(this.scene.renderer.domElement));
+    }
+    return Promise.all(pending);
+  }
+
+  /* Returns a Promise resolving to the bytes of a zip archive containing every
+   * frame in the given format ("svg" or "png").
+   */
+  exportZip(format = "svg") {
+    let framesPromise;
+    if (format === "svg") {
+      framesPromise = Promise.resolve(this.renderSvgFrames());
+    } else if (format === "png") {
+      framesPromise = this.renderPngFrames();
+    } else {
+      return Promise.reject(new Error(`Unknown frame format ${format}`));
+    }
+    return framesPromise.then(frames => createZip(frames.map((data, i) => ({
+      name: `frame${String(i).padStart(5, "0")}.${format}`,
+      data: data,
+    }))));
+  }
+}
+
+function formatNumber(x) {
+  return +x.toFixed(3);
+}
+
+function getControlPoint(vertex, side) {
+  let control = vertex.controls[side];
+  if (vertex.relative) {
+    return [formatNumber(vertex.x + control.x), formatNumber(vertex.y + control.y)];
+  }
+  return [formatNumber(control.x), formatNumber(control.y)];
+}
+
+function getPathData(path) {
+  let commands = [];
+  let vertices = path.vertices;
+  for (let i = 0; i < vertices.length; i++) {
+    let v = vertices[i];
+    let point = [formatNumber(v.x), formatNumber(v.y)];
+    if (i === 0 || v.command === Two.Commands.move) {
+      commands.push(`M ${point.join(" ")}`);
+    } else if (v.command === Two.Commands.line) {
+      commands.push(`L ${point.join(" ")}`);
+    } else if (v.command === Two.Commands.close) {
+      commands.push("Z");
+    } else {
+      let previousControl = getControlPoint(vertices[i - 1], "right");
+      let control = getControlPoint(v, "left");
+      commands.push(`C ${previousControl.join(" ")} ${control.join(" ")} ${point.join(" ")}`);
+    }
+  }
+  if (path.closed) {
+    commands.push("Z");
+  }
+  return commands.join(" ");
+}
+
+function getPaint(paint) {
+  if (typeof paint !== "string" || paint === "none" || paint === "transparent") {
+    return ["none", 0];
+  }
+  let color = chroma(paint);
+  return [color.hex("rgb"), formatNumber(color.alpha())];
+}
+
+function shapeToSvg(shape) {
+  if (shape.visible === false) {
+    return "";
+  }
+  let transform = `transform="matrix(${shape.matrix.toString()})"`;
+  let opacity = `opacity="${formatNumber(shape.opacity)}"`;
+  if (shape instanceof Two.Group) {
+    let children = shape.children.map(child => shapeToSvg(child)).join("");
+    return `<g ${transform} ${opacity}>${children}</g>`;
+  }
+  if (shape.vertices === undefined || shape.vertices.length === 0) {
+    return "";
+  }
+  let [fill, fillOpacity] = getPaint(shape.fill);
+  let [stroke, strokeOpacity] = getPaint(shape.stroke);
+  return `<path d="${getPathData(shape)}" ${transform} ${opacity}` +
+    ` fill="${fill}" fill-opacity="${fillOpacity}"` +
+    ` stroke="${stroke}" stroke-opacity="${strokeOpacity}"` +
+    ` stroke-width="${formatNumber(shape.linewidth)}"` +
+    ` stroke-linecap="${shape.cap}" stroke-linejoin="${shape.join}"/>`;
+}
+
+/* Serializes the current state of scene to SVG markup without going through
+ * the DOM, so that it works in any environment.
+ */
+export function sceneToSvg(scene) {
+  let root = scene.scene;
+  let children = root.children.map(child => shapeToSvg(child)).join("");
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${scene.width}"` +
+    ` height="${scene.height}" viewBox="0 0 ${scene.width} ${scene.height}">` +
+    `<rect width="100%" height="100%" fill="${BACKGROUND_COLOR}"/>` +
+    `<g transform="matrix(${root.matrix.toString()})">${children}</g></svg>`;
+}
+
+/* Draws the background color behind whatever has been rendered to canvas. */
+export function fillCanvasBackground(canvas) {
+  let ctx = canvas.getContext("2d");
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalCompositeOperation = "destination-over";
+  ctx.fillStyle = BACKGROUND_COLOR;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.restore();
+}
+
+/* Returns a Promise resolving to the PNG bytes of the canvas. Supports both
+ * browser canvases and node-canvas.
+ */
+export function canvasToPng(canvas) {
+  fillCanvasBackground(canvas);
+  if (typeof canvas.toBlob === "function") {
+    return new Promise(resolve => canvas.toBlob(resolve, "image/png"))
+      .then(blob => new Response(blob).arrayBuffer())
+      .then(buffer => new Uint8Array(buffer));
+  } else if (typeof canvas.toBuffer === "function") {
+    return Promise.resolve(new Uint8Array(canvas.toBuffer("image/png")));
+  }
+  return Promise.reject(new Error("PNG frames require a canvas-backed Scene"));
+}
+
+export { OfflineRenderer }
@@ -5,9 +5,51 @@ import * as utils from './utils.js'
 class Scene extends Two {
   constructor(conf) {
     super(conf);
-    this.lastStoppingFrame = 0;
+    this.frameRate = (conf && conf.frameRate) || consts.DEFAULT_FRAME_RATE;
+    // Seconds of the current Animation which have been played, as measured by
+    // the wall clock rather than by the number of frames drawn so that dropped
+    // frames don't slow down playback.
+    this.elapsedSeconds = 0;
+    this.lastTickTime = null;
     this.wrapper = null;
     this.onAnimationFinished = null;
+    this.mobjectsToRemoveUponFinish = [];
+    // The size of the frame in Manim units. As in Manim, the height is fixed
+    // and the width follows from the aspect ratio.
+    this.frameHeight = consts.FRAME_HEIGHT;
+    this.frameWidth = this.frameHeight *
+      ((conf && conf.aspectRatio) || this.width / this.height);
+    // Mobjects are drawn in Manim units, so the root group maps the frame onto
+    // the canvas.
+    this.scene.matrix.manual = true;
+    this.updateFrameMatrix();
+    this.bind('resize', () => this.updateFrameMatrix());
+  }
+
+  /* Resizes the canvas. The frame is stretched to fill it, so the new size
+   * should have the Scene's aspect ratio.
+   */
+  resize(width, height) {
+    this.renderer.setSize(width, height, this.ratio);
+    this.update();
+  }
+
+  setAspectRatio(aspectRatio) {
+    this.frameWidth = this.frameHeight * aspectRatio;
+    this.updateFrameMatrix();
+  }
+
+  getAspectRatio() {
+    return this.frameWidth / this.frameHeight;
+  }
+
+  updateFrameMatrix() {
+    this.scene.matrix.set(...utils.getManimToTwoTransformationMatrix(
+      this.frameWidth,
+      this.frameHeight,
+      this.width,
+      this.height,
+    ).toArray().flat());
   }
 
   clearAnimation() {
@@ -15,39 +57,92 @@ class Scene extends Two {
     this.unbind('update', this.wrapper);
   }
 
+  pause() {
+    // Time spent paused shouldn't count towards the Animation.
+    this.lastTickTime = null;
+    return super.pause();
+  }
+
   beginAnimation(animation) {
-    // If the Mobject isn't contained in the Scene, we have to add it here so
-    // that it will be visible during the animation. In order to prevent
-    // double-adding the Mobject when the diff is applied, we will remove it
-    // upon finishing the animation.
-    this.removeMobjectUponFinish = animation.mobject && !this.contains(animation.mobject);
+    // If the Mobjects being animated (of which groups of Animations have
+    // several) aren't contained in the Scene, we have to add them here so
+    // that they will be visible during the animation. In order to prevent
+    // double-adding them when the diff is applied, we will remove them upon
+    // finishing the animation.
+    this.mobjectsToRemoveUponFinish = animation.getAnimatedMobjects().filter(
+      mobject => !this.contains(mobject),
+    );
     animation.begin();
-    if (this.removeMobjectUponFinish) {
-      this.add(animation.mobject);
+    for (let mobject of this.mobjectsToRemoveUponFinish) {
+      this.add(mobject);
+    }
+  }
+
+  finishAnimation() {
+    for (let mobject of this.mobjectsToRemoveUponFinish) {
+      this.remove(mobject);
+    }
+    this.mobjectsToRemoveUponFinish = [];
+  }
+
+  /* Advances the clock by the wall time since the last tick and returns the
+   * elapsed time rounded down to the start of the current frame.
+   */
+  tick() {
+    let now = performance.now();
+    if (this.lastTickTime !== null) {
+      this.elapsedSeconds += (now - this.lastTickTime) / 1000;
     }
+    this.lastTickTime = now;
+    return Math.floor(this.elapsedSeconds * this.frameRate) / this.frameRate;
   }
 
   playAnimation(animation, onStep=null, onAnimationFinished=null) {
+    this.loadAnimation(animation, onStep, onAnimationFinished);
+    this.play();
+  }
+
+  /* Prepares the Scene to play animation like playAnimation, but leaves it
+   * paused at the start so that it can be seeked with seekAnimation.
+   */
+  loadAnimation(animation, onStep=null, onAnimationFinished=null) {
     this.beginAnimation(animation);
     this.update();
     this.onAnimationFinished = onAnimationFinished;
-    this.lastStoppingFrame = this.frameCount;
-    this.wrapper = function(frameCount) {
-      animation.interpolate((frameCount - this.lastStoppingFrame) / 60);
+    this.elapsedSeconds = 0;
+    this.lastTickTime = null;
+    let lastFrameSeconds = null;
+    this.wrapper = function() {
+      let frameSeconds = this.tick();
+      if (frameSeconds === lastFrameSeconds) {
+        return;
+      }
+      lastFrameSeconds = frameSeconds;
+      let alpha = animation.getAlpha(frameSeconds);
+      animation.interpolate(alpha);
       if (onStep !== null) {
-        onStep((frameCount - this.lastStoppingFrame) / 60);
+        onStep(Math.min(frameSeconds, animation.runtime), alpha);
       }
-      if (animation.isFinished((frameCount - this.lastStoppingFrame) / 60)) {
-        if (this.removeMobjectUponFinish) {
-          this.remove(animation.mobject);
-        }
+      if (animation.isFinished(alpha)) {
+        this.finishAnimation(animation);
         this.clearAnimation();
         if (this.onAnimationFinished !== null) {
           this.onAnimationFinished(animation);
         }
       }
     };
-    this.bind('update', this.wrapper).play();
+    this.bind('update', this.wrapper);
+  }
+
+  /* Shows the loaded Animation as it is seconds into it without playing it.
+   * Playing resumes from there.
+   */
+  seekAnimation(seconds) {
+    this.elapsedSeconds = seconds;
+    this.lastTickTime = null;
+    // Updating runs the Animation's update handler for the new time.
+    this.update();
+    this.lastTickTime = null;
   }
 
   contains(mobject) {
@@ -58,15 +153,21 @@ class Scene extends Two {
     return currentMobject.hasOwnProperty("domElement");
   }
 
+  /* Converts a point in pixels relative to the top left of the canvas to
+   * Manim coordinates.
+   */
   normalizePoint(p) {
-    let x = p[0] / this.width * consts.FRAME_WIDTH - consts.FRAME_WIDTH / 2;
-    let y = -(p[1] - this.height / 2) / this.height * consts.FRAME_HEIGHT;
+    let x = p[0] / this.width * this.frameWidth - this.frameWidth / 2;
+    let y = -(p[1] - this.height / 2) / this.height * this.frameHeight;
     return [x, y];
   }
 
+  /* Converts a point in Manim coordinates to pixels relative to the top left
+   * of the canvas.
+   */
   normalizePixel(p) {
-    let x = p[0] / consts.FRAME_WIDTH * this.width + this.width / 2;
-    let y = this.height / 2 - p[1] / consts.FRAME_HEIGHT * this.height;
+    let x = p[0] / this.frameWidth * this.width + this.width / 2;
+    let y = this.height / 2 - p[1] / this.frameHeight * this.height;
     return [x, y];
   }
 
@@ -0,0 +1,99 @@
+/*
+ * Local persistence of projects (see src/project.js) in IndexedDB. Each
+ * project is stored as a record of the form
+ * {
+ *   id:        a string identifying the project,
+ *   name:      a name to show for it,
+ *   updatedAt: when it was last saved, in milliseconds since the epoch,
+ *   project:   the project,
+ * }
+ * Only the most recently updated projects are kept.
+ */
+import * as consts from './constants.js'
+
+const DB_NAME = "eulerv2";
+const DB_VERSION = 1;
+const STORE_NAME = "projects";
+
+let database = null;
+
+function openDatabase() {
+  if (database === null) {
+    database = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB isn't available"));
+        return;
+      }
+      let request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: "id" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again.
+    database.catch(() => {
+      database = null;
+    });
+  }
+  return database;
+}
+
+/* Runs operation on the project store within a transaction and returns a
+ * Promise resolving to the result of the IDBRequest it returns once the
+ * transaction has completed.
+ */
+function withStore(mode, operation) {
+  return openDatabase().then(db => new Promise((resolve, reject) => {
+    let transaction = db.transaction(STORE_NAME, mode);
+    let request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  }));
+}
+
+export function createProjectId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+/* Returns a Promise resolving to every stored record, most recently updated
+ * first.
+ */
+export function listProjects() {
+  return withStore("readonly", store => store.getAll()).then(
+    records => records.sort((a, b) => b.updatedAt - a.updatedAt),
+  );
+}
+
+/* Returns a Promise resolving to the record with the given id, or undefined
+ * if there isn't one.
+ */
+export function getProject(id) {
+  return withStore("readonly", store => store.get(id));
+}
+
+/* Stores a record, replacing any with the same id, and forgets the least
+ * recently updated projects past consts.MAX_RECENT_PROJECTS.
+ */
+export function saveProject(record) {
+  return withStore("readwrite", store => store.put(record))
+    .then(() => listProjects())
+    .then(records => {
+      let stale = records.slice(consts.MAX_RECENT_PROJECTS);
+      if (stale.length === 0) {
+        return undefined;
+      }
+      return withStore("readwrite", store => {
+        let request;
+        for (let record of stale) {
+          request = store.delete(record.id);
+        }
+        return request;
+      });
+    });
+}
+
+export function deleteProject(id) {
+  return withStore("readwrite", store => store.delete(id));
+}
@@ -0,0 +1,72 @@
+/*
+ * The code in the lab's editor and how it's rendered.
+ */
+import * as consts from '../constants.js'
+
+// Mutations which report on rendering rather than edit the project.
+export const STATUS_MUTATIONS = [
+  "setRenderProgress",
+  "setRenderError",
+  "setManimDocs",
+];
+
+export default {
+  namespaced: true,
+  state: () => ({
+    code: consts.EXAMPLE_CODE,
+    // The names of the Scenes defined in the code, and the one to render.
+    sceneChoices: [],
+    chosenScene: "SquareToCircle",
+    // One of the keys of consts.ASPECT_RATIOS.
+    aspectRatio: consts.DEFAULT_ASPECT_RATIO,
+    // Whether the code is rendered as it's edited.
+    liveRender: false,
+    // Whether the editor is shown rather than the panels for editing the
+    // Scene.
+    displayCode: true,
+    // The progress of the worker while it runs the code, of the form
+    // { stage, animations }, or null when it isn't running.
+    renderProgress: null,
+    // Describes why the last render failed, in the form of
+    // PythonWorker.getScene's errors, or null if it didn't.
+    renderError: null,
+    // Descriptions of manimlib's names for the editor, which are loaded once
+    // the worker is ready.
+    manimDocs: [],
+  }),
+  mutations: {
+    setCode(state, code) {
+      state.code = code;
+    },
+    setSceneChoices(state, sceneChoices) {
+      state.sceneChoices = sceneChoices;
+    },
+    setChosenScene(state, chosenScene) {
+      state.chosenScene = chosenScene;
+    },
+    setAspectRatio(state, aspectRatio) {
+      state.aspectRatio = aspectRatio;
+    },
+    setLiveRender(state, liveRender) {
+      state.liveRender = liveRender;
+    },
+    setDisplayCode(state, displayCode) {
+      state.displayCode = displayCode;
+    },
+    setRenderProgress(state, renderProgress) {
+      state.renderProgress = renderProgress;
+    },
+    setRenderError(state, renderError) {
+      state.renderError = renderError;
+    },
+    setManimDocs(state, manimDocs) {
+      // The docs never change, so there's no need for Vue to observe them.
+      state.manimDocs = Object.freeze(manimDocs);
+    },
+  },
+  actions: {
+    toggleCode({ commit, state }) {
+      commit("setDisplayCode", !state.displayCode);
+    },
+  },
+};
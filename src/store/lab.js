@@ -0,0 +1,310 @@
+/*
+ * The Scene being edited in the lab: its Mobjects, its Animations, the diffs
+ * made before and by each Animation, and the playback cursor, which is at
+ * animationOffset (from 0 to 1) through the Animation at animationIndex.
+ *
+ * Panels read the state through the getters and edit it through the actions
+ * in EDIT_ACTIONS. MobjectLabContainer hooks those actions to keep its Scene
+ * in sync with the state and to record them for undo.
+ *
+ * Mobject data holds the built two.js Mobjects (its mobject field), which
+ * two.js changes as they're drawn and animated, so the store isn't strict.
+ * Changes to the data itself, including those made by applying diffs as the
+ * cursor moves, are made through mutations.
+ */
+import Vue from 'vue'
+import * as _ from 'lodash'
+import * as lab from '../lab.js'
+
+// The Mobjects, Animations, and scene diffs which the lab starts with.
+export const INITIAL_MOBJECTS = {
+  mobject1: {
+    className: "Circle",
+    params: {},
+    position: [-1, 0],
+    transformations: [],
+    style: {
+      strokeColor: "#fc6255ff",
+      fillColor: "#00000000",
+      strokeWidth: 4,
+    },
+    mobject: null,
+  },
+  mobject2: {
+    className: "Square",
+    params: {},
+    position: [1, 0],
+    transformations: [],
+    style: {
+      strokeColor: "#ffffffff",
+      fillColor: "#00000000",
+      strokeWidth: 4,
+    },
+    mobject: null,
+  },
+  mobject3: {
+    className: "Square",
+    params: {},
+    position: [1, 0],
+    transformations: [],
+    style: {
+      strokeColor: "#00ff00ff",
+      fillColor: "#00000000",
+      strokeWidth: 4,
+    },
+    mobject: null,
+  },
+};
+export const INITIAL_ANIMATIONS = [
+  {
+    className: "ReplacementTransform",
+    description: "Morph one Mobject into another",
+    args: ["mobject1", "mobject2"],
+    argDescriptions: ["Start Mobject", "End Mobject"],
+    durationSeconds: 1,
+    animation: null,
+  },
+];
+export const INITIAL_SCENE_DIFFS = [{ add: ["mobject1"] }];
+
+// Mutations which only move the cursor or cache things derived from the
+// project, as opposed to editing it.
+export const CURSOR_MUTATIONS = [
+  "setAnimationIndex",
+  "setAnimationOffset",
+  "setPriorScene",
+  "setBuiltAnimation",
+  "setDiffValidity",
+  "applyDiff",
+  "rebuildMobject",
+];
+
+// Actions which edit the Scene from the panels. Each changes the data at the
+// cursor; see MobjectLabContainer for how the Scene follows.
+export const EDIT_ACTIONS = [
+  "lab/setAnimationArg",
+  "lab/setAnimationClass",
+  "lab/setAnimationConfig",
+  "lab/setSetup",
+  "lab/setMobjectAttribute",
+];
+
+export default {
+  namespaced: true,
+  state: () => ({
+    // Whether a Scene has been loaded into the lab yet.
+    loaded: false,
+    mobjects: {},
+    animations: _.cloneDeep(INITIAL_ANIMATIONS),
+    // Diffs are of the form:
+    // {
+    //   'add':    [mobject11, ...],
+    //   'remove': [mobject21, ...],
+    //   'modify': [[mobject31, forwardCommand, backwardCommand], ...],
+    // }
+    // where the commands are described by utils.MODIFICATION_FIELDS.
+    sceneDiffs: [],
+    animationDiffs: [],
+    animationIndex: 0,
+    animationOffset: 0,
+    // The Mobjects in the Scene before the scene diff of the current
+    // Animation, as a tree of { name, submobjects }.
+    priorScene: [],
+    // Whether each Animation's diffs can be applied, as returned by
+    // lab.validateDiffs.
+    diffValidity: [],
+  }),
+  getters: {
+    currentAnimation(state) {
+      return state.animations[state.animationIndex];
+    },
+    currentSceneDiff(state) {
+      return state.sceneDiffs[state.animationIndex];
+    },
+    currentAnimationDiff(state) {
+      return state.animationDiffs[state.animationIndex];
+    },
+    animating(state) {
+      return state.animationOffset !== 0 && state.animationOffset !== 1;
+    },
+    // The top-level Mobjects in the Scene once the current scene diff has
+    // been applied.
+    sceneBeforeAnimation(state, getters) {
+      if (!state.loaded) {
+        return [];
+      }
+      return lab.diffPriorScene(state.priorScene, getters.currentSceneDiff);
+    },
+    sceneIsValid(state, getters) {
+      if (!state.loaded) {
+        return false;
+      }
+      return lab.diffIsValidForScene(
+        getters.currentSceneDiff,
+        state.priorScene,
+        state.mobjects,
+      );
+    },
+    animationIsValid(state, getters) {
+      if (!state.loaded) {
+        return false;
+      }
+      return lab.diffIsValidForScene(
+        getters.currentAnimationDiff,
+        getters.sceneBeforeAnimation,
+        state.mobjects,
+      );
+    },
+  },
+  mutations: {
+    /* Replaces the Scene and moves the cursor to its start. */
+    setLabState(state, { mobjects, animations, sceneDiffs, animationDiffs }) {
+      state.loaded = true;
+      state.mobjects = mobjects;
+      state.animations = animations;
+      state.sceneDiffs = sceneDiffs;
+      state.animationDiffs = animationDiffs;
+      state.animationIndex = 0;
+      state.animationOffset = 0;
+      state.priorScene = [];
+    },
+    setAnimationIndex(state, index) {
+      state.animationIndex = index;
+    },
+    setAnimationOffset(state, offset) {
+      state.animationOffset = offset;
+    },
+    setPriorScene(state, scene) {
+      state.priorScene = scene;
+    },
+    setDiffValidity(state, diffValidity) {
+      state.diffValidity = diffValidity;
+    },
+    setMobject(state, { name, data }) {
+      Vue.set(state.mobjects, name, data);
+    },
+    deleteMobject(state, name) {
+      Vue.delete(state.mobjects, name);
+    },
+    /* Sets an attribute of a Mobject's data, where attr is either the name
+     * of a field (e.g. "position") or of a style (e.g. "style.fillColor").
+     * The Mobject has to be rebuilt afterwards.
+     */
+    setMobjectAttribute(state, { name, attr, value }) {
+      let [field, key] = attr.split(".");
+      if (field === "style") {
+        Vue.set(state.mobjects[name].style, key, value);
+      } else {
+        Vue.set(state.mobjects[name], attr, value);
+      }
+    },
+    /* Rebuilds the Mobject called name in scene after its data has changed,
+     * keeping its place in the Scene.
+     */
+    rebuildMobject(state, { name, scene }) {
+      lab.rebuildMobjectInPlace(state.mobjects[name], state.mobjects, scene);
+    },
+    /* Applies diff (or its reverse) to scene, updating the Group membership
+     * its modifications change. See lab.applyDiff.
+     */
+    applyDiff(state, { scene, diff, reverse }) {
+      lab.applyDiff(scene, state.mobjects, diff, reverse);
+    },
+    setSceneDiff(state, { index, diff }) {
+      let diffs = _.cloneDeep(state.sceneDiffs);
+      diffs[index] = diff;
+      state.sceneDiffs = diffs;
+    },
+    setAnimationDiff(state, { index, diff }) {
+      let diffs = _.cloneDeep(state.animationDiffs);
+      diffs[index] = diff;
+      state.animationDiffs = diffs;
+    },
+    setAnimation(state, { index, animation }) {
+      Vue.set(state.animations, index, animation);
+    },
+    /* Sets an optional field of an Animation's data (e.g. durationSeconds),
+     * or removes it if value is null so that the Animation's default is used.
+     */
+    setAnimationField(state, { index, field, value }) {
+      if (value === null) {
+        Vue.delete(state.animations[index], field);
+      } else {
+        Vue.set(state.animations[index], field, value);
+      }
+    },
+    setAnimationArgs(state, { index, args }) {
+      state.animations[index].args = args;
+    },
+    /* Stores the Animation built from the data at index. */
+    setBuiltAnimation(state, { index, animation }) {
+      state.animations[index].animation = animation;
+    },
+    pushAnimation(state, { animation, sceneDiff, animationDiff }) {
+      state.animations.push(animation);
+      state.sceneDiffs.push(sceneDiff);
+      state.animationDiffs.push(animationDiff);
+    },
+    popAnimation(state) {
+      state.animations.pop();
+      state.sceneDiffs.pop();
+      state.animationDiffs.pop();
+    },
+  },
+  actions: {
+    /* Adds a Mobject under the next free name of the form mobjectN and
+     * resolves to the name.
+     */
+    addMobject({ commit, state }, data) {
+      let n = Object.keys(state.mobjects).length + 1;
+      while (`mobject${n}` in state.mobjects) {
+        n++;
+      }
+      let name = `mobject${n}`;
+      commit("setMobject", { name: name, data: data });
+      return name;
+    },
+    setAnimationArg({ commit, state, getters }, { argNum, arg }) {
+      let args = _.cloneDeep(getters.currentAnimation.args);
+      args[argNum] = arg;
+      commit("setAnimationArgs", { index: state.animationIndex, args: args });
+      commit("setAnimationDiff", {
+        index: state.animationIndex,
+        diff: lab.getAnimationDiff(getters.currentAnimation, state.mobjects),
+      });
+    },
+    /* Replaces the current Animation with one of class className, keeping
+     * what it can (see lab.changeAnimationClass).
+     */
+    setAnimationClass({ commit, state, getters }, className) {
+      let data = lab.changeAnimationClass(getters.currentAnimation, className);
+      commit("setAnimation", { index: state.animationIndex, animation: data });
+      commit("setAnimationDiff", {
+        index: state.animationIndex,
+        diff: lab.getAnimationDiff(data, state.mobjects),
+      });
+    },
+    /* Sets an optional field of the current Animation's data which changes
+     * how it plays but not what it does, such as its durationSeconds,
+     * lagRatio or rateFunc. A value of null restores the Animation's default.
+     */
+    setAnimationConfig({ commit, state }, { field, value }) {
+      commit("setAnimationField", {
+        index: state.animationIndex,
+        field: field,
+        value: value,
+      });
+    },
+    /* Sets which Mobjects the current scene diff adds or removes, where
+     * action is "add" or "remove".
+     */
+    setSetup({ commit, state, getters }, { action, selection }) {
+      let diff = _.cloneDeep(getters.currentSceneDiff);
+      diff[action] = selection;
+      commit("setSceneDiff", { index: state.animationIndex, diff: diff });
+    },
+    setMobjectAttribute({ commit }, { name, attr, value }) {
+      commit("setMobjectAttribute", { name: name, attr: attr, value: value });
+    },
+  },
+};
@@ -38,9 +38,8 @@ export function pathFromAnchors(anchors, leftHandles, rightHandles, commands=nul
 
 /* Returns a path composed of straight lines through points. */
 export function pathFromPoints(points) {
-  let np = window.pyodide.pyimport("numpy");
   let interpolation = [];
-  for (let a of np.linspace(0, 1, 4)) {
+  for (let a of linspace(0, 1, 4)) {
     interpolation.push(interpolateMatrices(
       points,
       points.slice(1).concat([points[0]]),
@@ -79,6 +78,34 @@ export function interpolate(start, end, alpha) {
   return (1 - alpha) * start + alpha * end;
 }
 
+/* Returns a function (start, end, alpha) => point which moves the point start
+ * to end along an arc through arcAngle radians counterclockwise, as manim's
+ * path_along_arc does. Points move in straight lines when arcAngle is about 0.
+ */
+export function pathAlongArc(arcAngle) {
+  if (Math.abs(arcAngle) < consts.STRAIGHT_PATH_THRESHOLD) {
+    return (start, end, alpha) => [
+      interpolate(start[0], end[0], alpha),
+      interpolate(start[1], end[1], alpha),
+    ];
+  }
+  return (start, end, alpha) => {
+    let vect = [end[0] - start[0], end[1] - start[1]];
+    let center = [start[0] + vect[0] / 2, start[1] + vect[1] / 2];
+    if (arcAngle !== Math.PI) {
+      // Offset the center perpendicular to the chord.
+      let tan = Math.tan(arcAngle / 2);
+      center[0] -= vect[1] / 2 / tan;
+      center[1] += vect[0] / 2 / tan;
+    }
+    let cos = Math.cos(alpha * arcAngle);
+    let sin = Math.sin(alpha * arcAngle);
+    let dx = start[0] - center[0];
+    let dy = start[1] - center[1];
+    return [center[0] + cos * dx - sin * dy, center[1] + sin * dx + cos * dy];
+  };
+}
+
 export function interpolateArrays(arr1, arr2, alpha) {
   let ret = [];
   for (let i = 0; i < arr1.length; i++) {
@@ -246,14 +273,41 @@ export function partialBezierPoints(curveStart, curveEnd, alpha1, alpha2) {
 }
 
 export function sigmoid(x) {
-  let np = window.pyodide.pyimport("numpy");
-  return 1.0 / (1 + np.exp(-x));
+  return 1.0 / (1 + Math.exp(-x));
+}
+
+export function clip(x, min, max) {
+  return Math.min(Math.max(x, min), max);
+}
+
+/* Returns num evenly spaced numbers from start to stop inclusive, as
+ * numpy.linspace does.
+ */
+export function linspace(start, stop, num) {
+  if (num <= 0) {
+    return [];
+  } else if (num === 1) {
+    return [start];
+  }
+  let step = (stop - start) / (num - 1);
+  let ret = [];
+  for (let i = 0; i < num - 1; i++) {
+    ret.push(start + i * step);
+  }
+  ret.push(stop);
+  return ret;
+}
+
+/* Returns the integers from 0 up to (but not including) n, as numpy.arange
+ * does.
+ */
+export function arange(n) {
+  return _.range(n);
 }
 
 export function smooth(t, inflection = 10) {
-  let np = window.pyodide.pyimport("numpy");
   let error = sigmoid(-inflection / 2);
-  return np.clip(
+  return clip(
     (sigmoid(inflection * (t - 0.5)) - error) / (1 - 2 * error),
     0,
     1,
@@ -264,6 +318,41 @@ export function linear(t) {
   return t;
 }
 
+export function rushInto(t, inflection = 10) {
+  return 2 * smooth(t / 2, inflection);
+}
+
+export function rushFrom(t, inflection = 10) {
+  return 2 * smooth(t / 2 + 0.5, inflection) - 1;
+}
+
+export function slowInto(t) {
+  return Math.sqrt(1 - (1 - t) * (1 - t));
+}
+
+export function doubleSmooth(t) {
+  if (t < 0.5) {
+    return 0.5 * smooth(2 * t);
+  } else {
+    return 0.5 * (1 + smooth(2 * t - 1));
+  }
+}
+
+export function thereAndBack(t, inflection = 10) {
+  return smooth(t < 0.5 ? 2 * t : 2 * (1 - t), inflection);
+}
+
+// The rate functions which Animations can be given, by their names in manim.
+export const RATE_FUNCTIONS = {
+  smooth: smooth,
+  linear: linear,
+  rush_into: rushInto,
+  rush_from: rushFrom,
+  slow_into: slowInto,
+  double_smooth: doubleSmooth,
+  there_and_back: thereAndBack,
+};
+
 export function removeListRedundancies(l) {
   return l;
 }
@@ -276,20 +365,144 @@ export function getFullDiff(diff) {
   };
 }
 
+/* Returns the diff making the changes of first and then those of second, e.g.
+ * to keep the setup of an Animation which is deleted. Mobjects which first
+ * adds and second removes are left out.
+ */
+export function combineDiffs(first, second) {
+  first = getFullDiff(first || {});
+  second = getFullDiff(second || {});
+  let cancelled = _.intersection(first["add"], second["remove"]);
+  return {
+    add: _.union(_.difference(first["add"], cancelled), second["add"]),
+    remove: _.union(first["remove"], _.difference(second["remove"], cancelled)),
+    modify: _.concat(first["modify"], second["modify"]),
+  };
+}
+
+/* Returns the diff undoing diff. Modifications are undone in the reverse
+ * order, since commands such as reorder depend on the ones before them.
+ */
 export function getReversedDiff(diff) {
   return {
     add: diff["remove"] || [],
     remove: diff["add"] || [],
-    modify: (diff["modify"] || []).map(list => [list[0], list[2], list[1]]),
+    modify: (diff["modify"] || []).slice().reverse().map(
+      list => [list[0], list[2], list[1]],
+    ),
   };
 }
 
+/* Modifications are of the form [mobjectName, command, inverse], where
+ * command is an object with a type and the fields listed for it here, and
+ * inverse is the command undoing it. The commands are
+ *   { type: "add", submobject, index }      adds a submobject to a Group at
+ *                                           index, or at the end without one
+ *   { type: "remove", submobject, index }   removes a submobject from a Group
+ *   { type: "reorder", submobject, index }  moves a submobject of a Group to
+ *                                           index, changing its z-order
+ *   { type: "reparent", from, to, index }   moves the Mobject from the Group
+ *                                           from to index in the Group to
+ *   { type: "move", position }              sets the Mobject's position
+ *   { type: "restyle", style }              sets the Mobject's style
+ *   { type: "transform", transformations }  sets the Mobject's transformations
+ *   { type: "become", shape }               sets the Mobject's SHAPE_PROPERTIES
+ *                                           to those in shape, making it take
+ *                                           on the shape of another Mobject
+ */
+export const MODIFICATION_FIELDS = {
+  add: ["submobject"],
+  remove: ["submobject"],
+  reorder: ["submobject", "index"],
+  reparent: ["from", "to", "index"],
+  move: ["position"],
+  restyle: ["style"],
+  transform: ["transformations"],
+  become: ["shape"],
+};
+
+// The properties of Mobject data which make up its shape.
+export const SHAPE_PROPERTIES = [
+  "className",
+  "params",
+  "position",
+  "style",
+  "transformations",
+];
+
+// The command setting each property of Mobject data.
+export const PROPERTY_COMMANDS = {
+  position: "move",
+  style: "restyle",
+  transformations: "transform",
+};
+
+/* Returns the modification adding submobjectName to groupName at index, or
+ * at the end if index is undefined.
+ */
+export function getAddModification(groupName, submobjectName, index) {
+  return [
+    groupName,
+    { type: "add", submobject: submobjectName, index: index },
+    { type: "remove", submobject: submobjectName, index: index },
+  ];
+}
+
+/* Returns the modification removing submobjectName from groupName, where it's
+ * at index.
+ */
+export function getRemoveModification(groupName, submobjectName, index) {
+  let [, add, remove] = getAddModification(groupName, submobjectName, index);
+  return [groupName, remove, add];
+}
+
+export function getReorderModification(groupName, submobjectName, fromIndex, toIndex) {
+  return [
+    groupName,
+    { type: "reorder", submobject: submobjectName, index: toIndex },
+    { type: "reorder", submobject: submobjectName, index: fromIndex },
+  ];
+}
+
+/* Returns the modification moving mobjectName from fromIndex in the Group
+ * fromGroup to toIndex in the Group toGroup.
+ */
+export function getReparentModification(mobjectName, fromGroup, fromIndex, toGroup, toIndex) {
+  return [
+    mobjectName,
+    { type: "reparent", from: fromGroup, to: toGroup, index: toIndex },
+    { type: "reparent", from: toGroup, to: fromGroup, index: fromIndex },
+  ];
+}
+
+/* Returns the modification setting the property of mobjectName from
+ * beforeValue to afterValue.
+ */
+export function getPropertyModification(mobjectName, property, beforeValue, afterValue) {
+  let type = PROPERTY_COMMANDS[property];
+  return [
+    mobjectName,
+    { type: type, [property]: _.cloneDeep(afterValue) },
+    { type: type, [property]: _.cloneDeep(beforeValue) },
+  ];
+}
+
+/* Returns the modification giving mobjectName, described by data, the shape
+ * of the Mobject described by targetData.
+ */
+export function getBecomeModification(mobjectName, data, targetData) {
+  return [
+    mobjectName,
+    { type: "become", shape: _.cloneDeep(_.pick(targetData, SHAPE_PROPERTIES)) },
+    { type: "become", shape: _.cloneDeep(_.pick(data, SHAPE_PROPERTIES)) },
+  ];
+}
+
 export function getMobjectsRemovedFromParent(diff) {
   let ret = [];
-  for (let arr of diff["modify"]) {
-    let [command, arg] = arr[1].split(" ");
-    if (command === "remove") {
-      ret.push(arg);
+  for (let [, command] of diff["modify"]) {
+    if (command.type === "remove") {
+      ret.push(command.submobject);
     }
   }
   return ret;
@@ -297,60 +510,193 @@ export function getMobjectsRemovedFromParent(diff) {
 
 export function getMobjectsAddedToParent(diff) {
   let ret = [];
-  for (let arr of diff["modify"]) {
-    let [command, arg] = arr[1].split(" ");
-    if (command === "add") {
-      ret.push(arg);
+  for (let [, command] of diff["modify"]) {
+    if (command.type === "add") {
+      ret.push(command.submobject);
     }
   }
   return ret;
 }
 
-export function applyModification(mobjectData, modificationString) {
-  // Commands have the form "add mobject1", "move mobject2 x y", etc.
-  let [command, arg] = modificationString.split(" ");
-  switch (command) {
+/* Inserts name into list at index, or at the end if index is undefined. */
+function insertAt(list, name, index) {
+  if (index === undefined || index > list.length) {
+    list.push(name);
+  } else {
+    list.splice(index, 0, name);
+  }
+}
+
+/* Removes name from list, preferring the entry at index if there is one. */
+function removeAt(list, name, index) {
+  if (index !== undefined && list[index] === name) {
+    list.splice(index, 1);
+  } else {
+    _.remove(list, n => n === name);
+  }
+}
+
+/* Applies a modification command to the data of mobjectName. The command
+ * may also change the data of other Mobjects in mobjects, e.g. the Groups a
+ * Mobject is reparented between.
+ */
+export function applyModification(mobjects, mobjectName, command) {
+  let mobjectData = mobjects[mobjectName];
+  switch (command.type) {
     case "add":
-      mobjectData.submobjects.push(arg);
+      insertAt(mobjectData.submobjects, command.submobject, command.index);
       break;
     case "remove":
-      _.remove(mobjectData.submobjects, name => name === arg);
+      removeAt(mobjectData.submobjects, command.submobject, command.index);
+      break;
+    case "reorder":
+      removeAt(mobjectData.submobjects, command.submobject);
+      insertAt(mobjectData.submobjects, command.submobject, command.index);
+      break;
+    case "reparent":
+      removeAt(mobjects[command.from].submobjects, mobjectName);
+      insertAt(mobjects[command.to].submobjects, mobjectName, command.index);
+      break;
+    case "move":
+      mobjectData.position = _.cloneDeep(command.position);
+      break;
+    case "restyle":
+      mobjectData.style = _.cloneDeep(command.style);
+      break;
+    case "transform":
+      mobjectData.transformations = _.cloneDeep(command.transformations);
+      break;
+    case "become":
+      Object.assign(mobjectData, _.cloneDeep(command.shape));
       break;
     default:
       // eslint-disable-next-line
-      console.error("Invalid modification command", modificationString);
+      console.error("Invalid modification command", command);
+  }
+}
+
+// The properties of Mobject data which scene diffs track between Animations.
+export const DIFFED_PROPERTIES = ["transformations", "position", "style"];
+
+/* Returns a mapping of the names of the nodes in a scene, including those of
+ * submobjects, to the nodes.
+ */
+function getSceneNodes(scene) {
+  let ret = {};
+  let stack = [...scene];
+  while (stack.length > 0) {
+    let node = stack.pop();
+    ret[node.name] = node;
+    stack.push(...node.submobjects);
   }
+  return ret;
 }
 
-// function getModification(beforeNode, afterNode) {
-//   let mobsToAdd = _.difference(afterNode.submobjects, beforeNode.submobjects);
-//   let mobsToRemove = _.difference(beforeNode.submobjects, afterNode.submobjects);
-//   if (mobsToAdd.length > 0) {
-//     return ["add", mobsToAdd];
-//   }
-//   if (mobsToRemove.length > 0) {
-//     return ["remove", mobsToRemove];
-//   }
-//   return [];
-// }
+/* Returns the modifications taking the submobjects of each Mobject in both
+ * beforeNodes and afterNodes (see getSceneNodes) from those before to those
+ * after. Submobjects which left their Group are removed from it, those which
+ * moved to another Group are reparented to its end and new ones are added to
+ * its end, after which each Group's submobjects are reordered. The index of
+ * each command is where it acts at that point, so the reversed diff undoes
+ * them exactly.
+ */
+function getSubmobjectModifications(beforeNodes, afterNodes) {
+  let groupNames = Object.keys(afterNodes).filter(name => name in beforeNodes);
+  let getNames = node => node.submobjects.map(submobject => submobject.name);
+  let current = {};
+  let parentsBefore = {};
+  let parentsAfter = {};
+  for (let name of groupNames) {
+    current[name] = getNames(beforeNodes[name]);
+    current[name].forEach(submobject => { parentsBefore[submobject] = name; });
+    getNames(afterNodes[name]).forEach(submobject => {
+      parentsAfter[submobject] = name;
+    });
+  }
+  let reparented = Object.keys(parentsAfter).filter(submobject =>
+    submobject in parentsBefore &&
+    parentsBefore[submobject] !== parentsAfter[submobject]
+  );
 
-export function getDiffFromTwoScenes(beforeScene, afterScene) {
+  let modifications = [];
+  for (let name of groupNames) {
+    let afterNames = getNames(afterNodes[name]);
+    for (let i = current[name].length - 1; i >= 0; i--) {
+      let submobject = current[name][i];
+      if (!afterNames.includes(submobject) && !reparented.includes(submobject)) {
+        modifications.push(getRemoveModification(name, submobject, i));
+        current[name].splice(i, 1);
+      }
+    }
+  }
+  for (let submobject of reparented) {
+    let from = parentsBefore[submobject];
+    let to = parentsAfter[submobject];
+    let fromIndex = current[from].indexOf(submobject);
+    current[from].splice(fromIndex, 1);
+    modifications.push(getReparentModification(
+      submobject, from, fromIndex, to, current[to].length,
+    ));
+    current[to].push(submobject);
+  }
+  for (let name of groupNames) {
+    let afterNames = getNames(afterNodes[name]);
+    for (let submobject of _.difference(afterNames, current[name])) {
+      modifications.push(
+        getAddModification(name, submobject, current[name].length),
+      );
+      current[name].push(submobject);
+    }
+    afterNames.forEach((submobject, index) => {
+      let currentIndex = current[name].indexOf(submobject);
+      if (currentIndex !== index) {
+        modifications.push(
+          getReorderModification(name, submobject, currentIndex, index),
+        );
+        current[name].splice(currentIndex, 1);
+        current[name].splice(index, 0, submobject);
+      }
+    });
+  }
+  return modifications;
+}
+
+/* Returns the diff taking beforeScene to afterScene. Scenes are lists of nodes
+ * of the form { name, submobjects }, which may also record the DIFFED_PROPERTIES
+ * of their Mobject at that point. Changes to the submobjects of Groups in
+ * both scenes, and properties which changed between the scenes, are made by
+ * modifications of the diff. The properties of Mobjects which are added by
+ * the diff are compared with those of the nodes in mobjectStates, a mapping of
+ * names to nodes recording how they were when last seen.
+ */
+export function getDiffFromTwoScenes(beforeScene, afterScene, mobjectStates = {}) {
   let beforeNames = beforeScene.map(node => node.name);
   let afterNames = afterScene.map(node => node.name);
   let mobsToAdd = _.difference(afterNames, beforeNames);
   let mobsToRemove = _.difference(beforeNames, afterNames);
 
-  let modifications = [];
-  // for (let node1 of beforeScene) {
-  //   for (let node2 of afterScene) {
-  //     if (node1.name === node2.name) {
-  //       let modification = getModification(node1, node2);
-  //       if (modification.length !== 0) {
-  //         modifications.push(modification);
-  //       }
-  //     }
-  //   }
-  // }
+  let beforeNodes = getSceneNodes(beforeScene);
+  let afterNodes = getSceneNodes(afterScene);
+  let modifications = getSubmobjectModifications(beforeNodes, afterNodes);
+  for (let name of Object.keys(afterNodes)) {
+    let beforeNode = name in beforeNodes ? beforeNodes[name] : mobjectStates[name];
+    if (beforeNode === undefined) {
+      continue;
+    }
+    for (let property of DIFFED_PROPERTIES) {
+      let beforeValue = beforeNode[property];
+      let afterValue = afterNodes[name][property];
+      if (
+        beforeValue !== undefined &&
+        afterValue !== undefined &&
+        !_.isEqual(beforeValue, afterValue)
+      ) {
+        modifications.push(
+          getPropertyModification(name, property, beforeValue, afterValue),
+        );
+      }
+    }
+  }
 
   let diff = {
     add: mobsToAdd,
@@ -361,10 +707,9 @@ export function getDiffFromTwoScenes(beforeScene, afterScene) {
 }
 
 function nodeFromName(name, nodeDict) {
-  let ret = {
-    name: name,
-    submobjects: nodeDict[name].submobjects.map(name => nodeFromName(name, nodeDict)),
-  };
+  let ret = _.pick(nodeDict[name], DIFFED_PROPERTIES);
+  ret.name = name;
+  ret.submobjects = nodeDict[name].submobjects.map(name => nodeFromName(name, nodeDict));
   return ret;
 }
 
@@ -562,11 +907,40 @@ export function rotationMatrixByAngle(angle) {
   ]);
 }
 
-export function getRotationMatrix(axis, angle) {
-  let manimlib = window.pyodide.pyimport("manimlib");
-  let matrix = manimlib.utils.space_ops.rotation_matrix(axis, angle)
-    .map(arr => [].slice.call(arr));
-  return math.matrix(matrix);
+/* Returns a rotation matrix in SO(3) which takes the z-axis to vector, as
+ * manimlib.utils.space_ops.z_to_vector does.
+ */
+export function zToVector(vector) {
+  let norm = math.norm(vector);
+  if (norm === 0) {
+    return math.identity(3);
+  }
+  let v = vector.map(x => x / norm);
+  let phi = Math.acos(v[2]);
+  let theta = 0;
+  if (v[0] !== 0 || v[1] !== 0) {
+    // projection of vector to unit circle
+    let axisProjectionNorm = math.norm([v[0], v[1]]);
+    theta = Math.acos(v[0] / axisProjectionNorm);
+    if (v[1] < 0) {
+      theta = -theta;
+    }
+  }
+  let phiDown = math.matrix([
+    [Math.cos(phi), 0, Math.sin(phi)],
+    [0, 1, 0],
+    [-Math.sin(phi), 0, Math.cos(phi)],
+  ]);
+  return math.multiply(rotationMatrixByAngle(theta), phiDown);
+}
+
+/* Returns the matrix which rotates by angle about axis, as
+ * manimlib.utils.space_ops.rotation_matrix does.
+ */
+export function getRotationMatrix(angle, axis) {
+  let zToAxis = zToVector([].slice.call(axis));
+  let axisToZ = math.inv(zToAxis);
+  return math.multiply(zToAxis, rotationMatrixByAngle(angle), axisToZ);
 }
 
 /* Returns a matrix for transforming points in two space to points in manim
@@ -577,10 +951,10 @@ export function getRotationMatrix(axis, angle) {
  *     [ 1]
  */
 export function getTwoToManimTransformationMatrix(
-  manimWidth = consts.FRAME_WIDTH,
-  manimHeight = consts.FRAME_HEIGHT,
-  twoWidth = 640,
-  twoHeight = 360,
+  manimWidth,
+  manimHeight,
+  twoWidth,
+  twoHeight,
 ) {
   return math.matrix([
     [manimWidth/twoWidth, 0, -manimWidth/2],
@@ -597,10 +971,10 @@ export function getTwoToManimTransformationMatrix(
  *     [ 1]
  */
 export function getManimToTwoTransformationMatrix(
-  manimWidth = consts.FRAME_WIDTH,
-  manimHeight = consts.FRAME_HEIGHT,
-  twoWidth = 640,
-  twoHeight = 360,
+  manimWidth,
+  manimHeight,
+  twoWidth,
+  twoHeight,
 ) {
   return math.matrix([
     [twoWidth/manimWidth, 0, twoWidth/2],
@@ -609,10 +983,10 @@ export function getManimToTwoTransformationMatrix(
   ]);
 }
 
-/* Converts a Two.Path with an arbitrary matrix heirarchy to an equivalent one
- * in Manim coordinates.
+/* Converts a Two.Path with an arbitrary matrix heirarchy in the pixel space of
+ * scene to an equivalent one in Manim coordinates.
  */
-export function normalizePath(path) {
+export function normalizePath(path, scene) {
   let anchors = [], leftHandles = [], rightHandles = [];
   let commands = path.vertices.map(v => v.command);
   let newAnchors, newLeftHandles, newRightHandles;
@@ -642,7 +1016,12 @@ export function normalizePath(path) {
   rightHandles = newRightHandles;
 
   // Transform to Manim coordinates
-  let two2manim = getTwoToManimTransformationMatrix();
+  let two2manim = getTwoToManimTransformationMatrix(
+    scene.frameWidth,
+    scene.frameHeight,
+    scene.width,
+    scene.height,
+  );
   zippedAnchors = anchors.map((_, i) => [anchors[i], leftHandles[i], rightHandles[i]]);
   let manimAnchors = [], manimLeftHandles = [], manimRightHandles = [];
   zippedAnchors.forEach(v => {
@@ -654,19 +1033,15 @@ export function normalizePath(path) {
     manimLeftHandles =  [...manimLeftHandles, lManim];
     manimRightHandles = [...manimRightHandles, rManim];
   });
-  let newPath = pathFromAnchors(manimAnchors, manimLeftHandles, manimRightHandles, commands);
-  newPath.matrix.manual = true;
-  let manim2two = getManimToTwoTransformationMatrix();
-  newPath.matrix.set(...manim2two.toArray().flat());
-  return newPath;
+  return pathFromAnchors(manimAnchors, manimLeftHandles, manimRightHandles, commands);
 }
 
-/* Converts a Two.Group with an arbitrary matrix heirarchy to an equivalent one
- * in Manim coordinates with two levels.
+/* Converts a Two.Group with an arbitrary matrix heirarchy in the pixel space of
+ * scene to an equivalent one in Manim coordinates with two levels.
  */
-export function normalizeGroup(group) {
+export function normalizeGroup(group, scene) {
   let normalizedPaths = extractPathsFromGroup(group)
-    .map(path => normalizePath(path));
+    .map(path => normalizePath(path, scene));
   let g = new Two.Group();
   g.add(normalizedPaths);
   return g;
@@ -700,3 +1075,27 @@ function getCurrentTransformationMatrix(path) {
     new Two.Matrix(),
   );
 }
+
+/* Returns the [width, height] in pixels of a Scene with the given aspect ratio
+ * whose shorter side is size pixels long. The longer side is rounded to an
+ * even number of pixels, which video encoders require.
+ */
+export function getPixelDimensions(size, aspectRatio) {
+  if (aspectRatio >= 1) {
+    return [2 * Math.round(size * aspectRatio / 2), size];
+  }
+  return [size, 2 * Math.round(size / aspectRatio / 2)];
+}
+
+/* Prompts the browser to save data (a Uint8Array or Blob) as filename. */
+export function downloadData(data, filename, type = "application/octet-stream") {
+  let blob = data instanceof Blob ? data : new Blob([data], { type: type });
+  let url = URL.createObjectURL(blob);
+  let link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
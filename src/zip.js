@@ -0,0 +1,96 @@
+/*
+ * A minimal writer for uncompressed (stored) zip archives. Frames are already
+ * compressed (PNG) or small (SVG), so deflating them isn't worth a dependency.
+ */
+
+let CRC_TABLE = null;
+
+function getCrcTable() {
+  if (CRC_TABLE === null) {
+    CRC_TABLE = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      CRC_TABLE[n] = c >>> 0;
+    }
+  }
+  return CRC_TABLE;
+}
+
+export function crc32(bytes) {
+  let table = getCrcTable();
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function encodeUtf8(string) {
+  return new TextEncoder().encode(string);
+}
+
+/* Returns the bytes of a zip archive containing files, a list of objects of the
+ * form { name: "frame0.svg", data: Uint8Array | string }. Timestamps are fixed
+ * so that identical input yields an identical archive.
+ */
+export function createZip(files) {
+  let localParts = [];
+  let centralParts = [];
+  let offset = 0;
+  for (let file of files) {
+    let name = encodeUtf8(file.name);
+    let data = typeof file.data === "string" ? encodeUtf8(file.data) : file.data;
+    let crc = crc32(data);
+
+    let local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // version needed to extract
+    local.setUint16(6, 0x0800, true); // utf-8 file names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, 0, true); // time
+    local.setUint16(12, 0x21, true); // date (1980-01-01)
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(new Uint8Array(local.buffer), name, data);
+
+    let central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, 0, true);
+    central.setUint16(14, 0x21, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  let centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+  let end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  let parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  let ret = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  for (let part of parts) {
+    ret.set(part, position);
+    position += part.length;
+  }
+  return ret;
+}
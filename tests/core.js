@@ -0,0 +1,129 @@
+/*
+ * Checks of the parts of the lab which have to match manim and numpy, and of
+ * offline rendering, run in Node without a browser (see the test script in
+ * package.json). Fails with the first assertion which doesn't hold.
+ */
+import assert from 'assert'
+import * as consts from '../src/constants.js'
+import * as utils from '../src/utils.js'
+import { OfflineRenderer } from '../src/renderer.js'
+
+const EPSILON = 1e-9;
+
+function assertClose(actual, expected, message) {
+  assert.strictEqual(actual.length, expected.length, message);
+  actual.forEach((row, i) => {
+    [].concat(row).forEach((value, j) => {
+      let expectedValue = [].concat(expected[i])[j];
+      assert.ok(
+        Math.abs(value - expectedValue) < EPSILON,
+        `${message}: ${JSON.stringify(actual)} != ${JSON.stringify(expected)}`,
+      );
+    });
+  });
+}
+
+/* The rotation by angle about axis by Rodrigues' formula, which is the
+ * rotation manimlib.utils.space_ops.rotation_matrix returns.
+ */
+function rodrigues(angle, axis) {
+  let norm = Math.hypot(...axis);
+  let [x, y, z] = axis.map(component => component / norm);
+  let c = Math.cos(angle), s = Math.sin(angle), t = 1 - c;
+  return [
+    [t * x * x + c,     t * x * y - s * z, t * x * z + s * y],
+    [t * x * y + s * z, t * y * y + c,     t * y * z - s * x],
+    [t * x * z - s * y, t * y * z + s * x, t * z * z + c],
+  ];
+}
+
+function checkLinspace() {
+  assert.deepStrictEqual(utils.linspace(0, 1, 5), [0, 0.25, 0.5, 0.75, 1]);
+  assert.deepStrictEqual(utils.linspace(3, 7, 1), [3]);
+  assert.deepStrictEqual(utils.linspace(2, -2, 3), [2, 0, -2]);
+  assert.deepStrictEqual(utils.linspace(0, 1, 0), []);
+  // The last number is stop exactly, however the steps round.
+  let numbers = utils.linspace(0.1, 0.7, 7);
+  assert.strictEqual(numbers.length, 7);
+  assert.strictEqual(numbers[0], 0.1);
+  assert.strictEqual(numbers[6], 0.7);
+}
+
+function checkArange() {
+  assert.deepStrictEqual(utils.arange(4), [0, 1, 2, 3]);
+  assert.deepStrictEqual(utils.arange(0), []);
+}
+
+function checkRotationMatrix() {
+  let axes = [consts.OUT, consts.IN, consts.UP, consts.RIGHT, [1, 2, 3], [-1, 0, 1]];
+  let angles = [0, consts.PI / 2, 1, -2.5, consts.PI];
+  for (let axis of axes) {
+    for (let angle of angles) {
+      assertClose(
+        toArray(utils.getRotationMatrix(angle, axis)),
+        rodrigues(angle, axis),
+        `rotation by ${angle} about ${axis}`,
+      );
+    }
+  }
+  // As in manim, rotating RIGHT a quarter turn about OUT gives UP.
+  let matrix = toArray(utils.getRotationMatrix(consts.PI / 2, consts.OUT));
+  assertClose(matrix.map(row => row[0]), consts.UP, "RIGHT rotated about OUT");
+}
+
+function toArray(matrix) {
+  return matrix.toArray ? matrix.toArray() : matrix;
+}
+
+/* A canvas whose 2d context ignores everything drawn with it, so that frames
+ * can be rendered without a browser.
+ */
+function createCanvas() {
+  let context = new Proxy({}, {
+    get: (target, key) => key in target ? target[key] : () => {},
+  });
+  return {
+    width: 0,
+    height: 0,
+    style: {},
+    getContext: () => context,
+  };
+}
+
+function checkOfflineRenderer() {
+  let mobjects = {
+    circle: {
+      className: "Circle",
+      params: {},
+      position: [0, 0],
+      transformations: [],
+      style: {
+        strokeColor: "#fc6255ff",
+        fillColor: "#00000000",
+        strokeWidth: 4,
+      },
+      mobject: null,
+    },
+  };
+  let frameRate = 10;
+  let renderer = new OfflineRenderer({
+    mobjects: mobjects,
+    animations: [{ className: "ShowCreation", args: ["circle"], durationSeconds: 1 }],
+    sceneDiffs: [{}],
+    animationDiffs: [{ add: ["circle"] }],
+    aspectRatio: 16 / 9,
+  }, { frameRate: frameRate, size: 36, domElement: createCanvas() });
+  let frames = Array.from(renderer.frames());
+  // The first frame shows the start of the Animation and the last its end.
+  assert.strictEqual(frames.length, frameRate + 1);
+  assert.strictEqual(frames[0].alpha, 0);
+  assert.strictEqual(frames[frameRate].alpha, 1);
+  assert.strictEqual(frames[frameRate].seconds, 1);
+}
+
+checkLinspace();
+checkArange();
+checkRotationMatrix();
+checkOfflineRenderer();
+// eslint-disable-next-line
+console.log("All checks passed");
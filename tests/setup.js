@@ -0,0 +1,7 @@
+/*
+ * Loaded before the checks in tests/ (see the test script in package.json).
+ * src imports two.js as a namespace, which webpack resolves to Two itself
+ * but Babel's CommonJS interop copies into a plain object, so two.js is
+ * marked as an ES module to keep Two a class.
+ */
+require('two.js/build/two.js').__esModule = true;